@@ -0,0 +1,56 @@
+/**
+ * Parse a committed baseline of key names
+ * Accepts a JSON array of names, or one name per line with blank lines and # comments ignored.
+ */
+export function parseBaseline(text) {
+  const trimmed = (text || '').trim();
+
+  if (trimmed.startsWith('[')) {
+    let names;
+    try {
+      names = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid baseline: ${error.message}`);
+    }
+    if (!names.every((name) => typeof name === 'string')) {
+      throw new Error('Invalid baseline: expected a JSON array of key names');
+    }
+    return [...new Set(names)];
+  }
+
+  const names = trimmed
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*$/, '').trim())
+    .filter(Boolean);
+  return [...new Set(names)];
+}
+
+/**
+ * Compare the key names a config produces with the baseline
+ * Returns sorted { added, removed, unchanged } name lists.
+ */
+export function diffKeys(baseline, keys) {
+  const before = new Set(baseline);
+  const after = new Set(keys);
+
+  return {
+    added: [...after].filter((key) => !before.has(key)).sort(),
+    removed: [...before].filter((key) => !after.has(key)).sort(),
+    unchanged: [...after].filter((key) => before.has(key)).sort(),
+  };
+}
+
+/**
+ * Render a key diff in unified diff style: + added, - removed, two spaces for unchanged
+ */
+export function formatKeyDiff({ added, removed, unchanged }) {
+  const lines = [
+    ...added.map((key) => ({ key, line: `+ ${key}` })),
+    ...removed.map((key) => ({ key, line: `- ${key}` })),
+    ...unchanged.map((key) => ({ key, line: `  ${key}` })),
+  ];
+  return lines
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map(({ line }) => line)
+    .join('\n');
+}
@@ -0,0 +1,43 @@
+import { parseBaseline, diffKeys, formatKeyDiff } from './baseline.js';
+
+describe('Key baseline', () => {
+  describe('parseBaseline', () => {
+    it('should read one name per line, ignoring blanks and comments', () => {
+      expect(parseBaseline('# payments service\nDATABASE_URL\n\n  API_KEY  # rotated monthly\nAPI_KEY\n')).toEqual(['DATABASE_URL', 'API_KEY']);
+    });
+
+    it('should read a JSON array', () => {
+      expect(parseBaseline('["A", "B"]\n')).toEqual(['A', 'B']);
+    });
+
+    it('should reject malformed JSON baselines', () => {
+      expect(() => parseBaseline('[1, 2]')).toThrow('expected a JSON array of key names');
+      expect(() => parseBaseline('["A",')).toThrow('Invalid baseline');
+    });
+
+    it('should return an empty list for an empty file', () => {
+      expect(parseBaseline('')).toEqual([]);
+    });
+  });
+
+  describe('diffKeys', () => {
+    it('should list added, removed and unchanged names in order', () => {
+      expect(diffKeys(['DB_URL', 'API_KEY', 'OLD'], ['NEW', 'DB_URL', 'API_KEY'])).toEqual({
+        added: ['NEW'],
+        removed: ['OLD'],
+        unchanged: ['API_KEY', 'DB_URL'],
+      });
+    });
+  });
+
+  describe('formatKeyDiff', () => {
+    it('should render a sorted unified-style diff', () => {
+      expect(formatKeyDiff({ added: ['NEW'], removed: ['OLD'], unchanged: ['API_KEY', 'DB_URL'] }))
+        .toBe('  API_KEY\n  DB_URL\n+ NEW\n- OLD');
+    });
+
+    it('should render nothing for no keys', () => {
+      expect(formatKeyDiff({ added: [], removed: [], unchanged: [] })).toBe('');
+    });
+  });
+});
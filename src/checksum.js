@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * Compute the SHA-256 digest of a file on disk
+ * Resolves with the lowercase hex digest
+ */
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createReadStream(filePath);
+
+    stream.on('data', (chunk) => hash.update(chunk));
+    stream.on('end', () => resolve(hash.digest('hex')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Parse a checksum manifest as published alongside a release
+ * Expected format: one `<sha256>  <filename>` pair per line (sha256sum output)
+ */
+export function parseChecksumManifest(content) {
+  const checksums = {};
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const match = line.match(/^([a-fA-F0-9]{64})\s+\*?(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid line in checksum manifest: ${line}`);
+    }
+
+    checksums[match[2].trim()] = match[1].toLowerCase();
+  }
+
+  return checksums;
+}
+
+/**
+ * Normalize a user-supplied SHA-256 digest, rejecting anything that is not 64 hex characters
+ */
+export function normalizeSha256(value) {
+  const trimmed = value.trim().toLowerCase().replace(/^sha256:/, '');
+  if (!/^[a-f0-9]{64}$/.test(trimmed)) {
+    throw new Error(`Invalid sha256 value: expected 64 hexadecimal characters, got "${value}"`);
+  }
+  return trimmed;
+}
+
+/**
+ * Compare a computed digest with the expected one
+ * Throws with both digests in the message on a mismatch
+ */
+export function verifyChecksum(actual, expected, fileName) {
+  if (actual.toLowerCase() !== expected.toLowerCase()) {
+    throw new Error(
+      `Checksum mismatch for ${fileName}: expected ${expected.toLowerCase()}, got ${actual.toLowerCase()}. ` +
+      'The download may be corrupted or tampered with.'
+    );
+  }
+}
+
+/**
+ * Verify a detached signature over the checksum manifest
+ * The signature may be raw bytes or base64 text; the public key must be PEM encoded.
+ * Ed25519 keys are verified directly, RSA and ECDSA keys over a SHA-256 digest.
+ */
+export function verifyManifestSignature(manifest, signature, publicKeyPem) {
+  let key;
+  try {
+    key = crypto.createPublicKey(publicKeyPem);
+  } catch (error) {
+    throw new Error(`Invalid signature public key: ${error.message}`);
+  }
+
+  const signatureText = Buffer.from(signature).toString('utf8').trim();
+  const signatureBytes = /^[A-Za-z0-9+/=\s]+$/.test(signatureText)
+    ? Buffer.from(signatureText, 'base64')
+    : Buffer.from(signature);
+
+  const algorithm = key.asymmetricKeyType === 'ed25519' || key.asymmetricKeyType === 'ed448' ? null : 'sha256';
+  let valid = false;
+  try {
+    valid = crypto.verify(algorithm, Buffer.from(manifest), key, signatureBytes);
+  } catch (error) {
+    throw new Error(`Could not verify checksum manifest signature: ${error.message}`);
+  }
+
+  if (!valid) {
+    throw new Error('Checksum manifest signature verification failed: the signature does not match the public key');
+  }
+}
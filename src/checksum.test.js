@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  hashFile,
+  parseChecksumManifest,
+  normalizeSha256,
+  verifyChecksum,
+  verifyManifestSignature,
+} from './checksum.js';
+
+const EMPTY_SHA256 = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+const HELLO_SHA256 = '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824';
+
+describe('Checksum verification', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'sstart-checksum-test-'));
+  });
+
+  afterAll(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('hashFile', () => {
+    it('should compute the sha256 digest of a file', async () => {
+      const filePath = join(tempDir, 'hello.txt');
+      writeFileSync(filePath, 'hello');
+      await expect(hashFile(filePath)).resolves.toBe(HELLO_SHA256);
+    });
+
+    it('should compute the digest of an empty file', async () => {
+      const filePath = join(tempDir, 'empty.txt');
+      writeFileSync(filePath, '');
+      await expect(hashFile(filePath)).resolves.toBe(EMPTY_SHA256);
+    });
+
+    it('should reject for a missing file', async () => {
+      await expect(hashFile(join(tempDir, 'missing'))).rejects.toThrow();
+    });
+  });
+
+  describe('parseChecksumManifest', () => {
+    it('should parse sha256sum formatted lines', () => {
+      const manifest = [
+        `${HELLO_SHA256}  sstart-0.0.10-linux-amd64.tar.gz`,
+        `${EMPTY_SHA256.toUpperCase()} *sstart-0.0.10-darwin-arm64.tar.gz`,
+        '',
+      ].join('\n');
+
+      expect(parseChecksumManifest(manifest)).toEqual({
+        'sstart-0.0.10-linux-amd64.tar.gz': HELLO_SHA256,
+        'sstart-0.0.10-darwin-arm64.tar.gz': EMPTY_SHA256,
+      });
+    });
+
+    it('should ignore blank lines, comments and CRLF line endings', () => {
+      const manifest = `# checksums\r\n\r\n${HELLO_SHA256}  sstart.tar.gz\r\n`;
+      expect(parseChecksumManifest(manifest)).toEqual({ 'sstart.tar.gz': HELLO_SHA256 });
+    });
+
+    it('should throw for malformed lines', () => {
+      expect(() => parseChecksumManifest('not-a-hash  sstart.tar.gz')).toThrow('Invalid line in checksum manifest');
+    });
+  });
+
+  describe('normalizeSha256', () => {
+    it('should lowercase and trim a valid digest', () => {
+      expect(normalizeSha256(`  ${HELLO_SHA256.toUpperCase()} `)).toBe(HELLO_SHA256);
+    });
+
+    it('should accept a sha256: prefix', () => {
+      expect(normalizeSha256(`sha256:${HELLO_SHA256}`)).toBe(HELLO_SHA256);
+    });
+
+    it('should reject values that are not 64 hex characters', () => {
+      expect(() => normalizeSha256('abc123')).toThrow('Invalid sha256 value');
+    });
+  });
+
+  describe('verifyChecksum', () => {
+    it('should pass when digests match regardless of case', () => {
+      expect(() => verifyChecksum(HELLO_SHA256, HELLO_SHA256.toUpperCase(), 'sstart.tar.gz')).not.toThrow();
+    });
+
+    it('should throw a clear error on mismatch', () => {
+      expect(() => verifyChecksum(EMPTY_SHA256, HELLO_SHA256, 'sstart.tar.gz'))
+        .toThrow(`Checksum mismatch for sstart.tar.gz: expected ${HELLO_SHA256}, got ${EMPTY_SHA256}`);
+    });
+  });
+
+  describe('verifyManifestSignature', () => {
+    const manifest = `${HELLO_SHA256}  sstart.tar.gz\n`;
+
+    it('should verify an Ed25519 signature in base64 form', () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+      const signature = crypto.sign(null, Buffer.from(manifest), privateKey).toString('base64');
+      const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+      expect(() => verifyManifestSignature(manifest, signature, publicKeyPem)).not.toThrow();
+    });
+
+    it('should verify a raw ECDSA signature', () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const signature = crypto.sign('sha256', Buffer.from(manifest), privateKey);
+      const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+      expect(() => verifyManifestSignature(manifest, signature, publicKeyPem)).not.toThrow();
+    });
+
+    it('should throw when the manifest was modified', () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+      const signature = crypto.sign(null, Buffer.from(manifest), privateKey).toString('base64');
+      const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+      const tampered = manifest.replace(HELLO_SHA256, EMPTY_SHA256);
+
+      expect(() => verifyManifestSignature(tampered, signature, publicKeyPem))
+        .toThrow('Checksum manifest signature verification failed');
+    });
+
+    it('should throw for an invalid public key', () => {
+      expect(() => verifyManifestSignature(manifest, 'c2ln', 'not a key')).toThrow('Invalid signature public key');
+    });
+  });
+});
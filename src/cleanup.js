@@ -0,0 +1,41 @@
+import fs from 'fs';
+
+/**
+ * Undo what the main step left behind, based on the state it saved
+ * Removes the scratch directory (workDir), the installed binary (installedBinary) and the
+ * env file (outputFile) when they still exist, and overwrites each key listed in
+ * exportedKeys with an empty value through exportVariable. getState reads a saved state
+ * value. Returns a description of each thing that was cleaned up.
+ */
+export function cleanup(getState, { exportVariable, info = () => {} }) {
+  const cleaned = [];
+
+  const remove = (target, description) => {
+    if (target && fs.existsSync(target)) {
+      fs.rmSync(target, { recursive: true, force: true });
+      cleaned.push(description);
+      info(`Removed ${description}`);
+    }
+  };
+
+  const workDir = getState('workDir');
+  remove(workDir, `temporary directory ${workDir}`);
+
+  const installedBinary = getState('installedBinary');
+  remove(installedBinary, `sstart binary ${installedBinary}`);
+
+  const outputFile = getState('outputFile');
+  remove(outputFile, `env file ${outputFile}`);
+
+  // Best effort: later post steps and composite actions see empty values instead of the secrets
+  const exportedKeys = JSON.parse(getState('exportedKeys') || '[]');
+  for (const key of exportedKeys) {
+    exportVariable(key, '');
+  }
+  if (exportedKeys.length > 0) {
+    cleaned.push(`${exportedKeys.length} exported environment variable(s) overwritten with empty values`);
+    info(`Overwrote ${exportedKeys.length} exported environment variable(s)`);
+  }
+
+  return cleaned;
+}
@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, mkdirSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { cleanup } from './cleanup.js';
+
+describe('Post step cleanup', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'sstart-cleanup-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const stateGetter = (state) => (name) => state[name] || '';
+
+  it('should remove the paths recorded in state', () => {
+    const workDir = join(tempDir, 'work');
+    mkdirSync(workDir);
+    writeFileSync(join(workDir, '.sstart.yml'), 'providers: []');
+    const installedBinary = join(tempDir, 'sstart');
+    writeFileSync(installedBinary, 'binary');
+    const outputFile = join(tempDir, 'app.env');
+    writeFileSync(outputFile, 'A=1');
+    const exportVariable = jest.fn();
+
+    const cleaned = cleanup(stateGetter({ workDir, installedBinary, outputFile }), { exportVariable });
+
+    expect(existsSync(workDir)).toBe(false);
+    expect(existsSync(installedBinary)).toBe(false);
+    expect(existsSync(outputFile)).toBe(false);
+    expect(cleaned).toEqual([
+      `temporary directory ${workDir}`,
+      `sstart binary ${installedBinary}`,
+      `env file ${outputFile}`,
+    ]);
+    expect(exportVariable).not.toHaveBeenCalled();
+  });
+
+  it('should skip paths that are not recorded or already gone', () => {
+    const installedBinary = join(tempDir, 'missing');
+    const getState = jest.fn(stateGetter({ installedBinary }));
+
+    expect(cleanup(getState, { exportVariable: jest.fn() })).toEqual([]);
+    expect(getState).toHaveBeenCalledWith('workDir');
+    expect(getState).toHaveBeenCalledWith('outputFile');
+  });
+
+  it('should overwrite exported variables with empty values', () => {
+    const exportVariable = jest.fn();
+    const info = jest.fn();
+
+    const cleaned = cleanup(stateGetter({ exportedKeys: '["DB_URL","API_KEY"]' }), { exportVariable, info });
+
+    expect(exportVariable.mock.calls).toEqual([['DB_URL', ''], ['API_KEY', '']]);
+    expect(cleaned).toEqual(['2 exported environment variable(s) overwritten with empty values']);
+    expect(info).toHaveBeenCalledWith('Overwrote 2 exported environment variable(s)');
+  });
+});
@@ -0,0 +1,48 @@
+import { parseDocument, isMap } from 'yaml';
+
+/**
+ * Replace ${NAME} references with values from the environment
+ * `$${NAME}` is left in the output as a literal `${NAME}`. Every reference to an unset
+ * variable is collected and reported in a single error.
+ */
+export function interpolateEnv(text, env = process.env) {
+  const missing = new Set();
+
+  const result = text.replace(/\$?\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+    if (match.startsWith('$$')) {
+      return match.slice(1);
+    }
+    if (!Object.prototype.hasOwnProperty.call(env, name)) {
+      missing.add(name);
+      return match;
+    }
+    return env[name];
+  });
+
+  if (missing.size > 0) {
+    throw new Error(`Config references unset environment variables: ${[...missing].join(', ')}`);
+  }
+  return result;
+}
+
+/**
+ * Check that a config is well-formed YAML with a mapping at the top level
+ * Returns a list of { message, line, column } problems; lines and columns are 1-based.
+ */
+export function validateConfigYaml(text) {
+  const doc = parseDocument(text, { prettyErrors: true });
+
+  if (doc.errors.length > 0) {
+    return doc.errors.map((error) => {
+      const [start] = error.linePos || [{ line: 1, col: 1 }];
+      // prettyErrors appends the position and a code excerpt; keep only the first sentence
+      const message = error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '');
+      return { message, line: start.line, column: start.col };
+    });
+  }
+
+  if (!isMap(doc.contents)) {
+    return [{ message: 'Expected a mapping of sstart settings at the top level', line: 1, column: 1 }];
+  }
+  return [];
+}
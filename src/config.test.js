@@ -0,0 +1,58 @@
+import { interpolateEnv, validateConfigYaml } from './config.js';
+
+describe('Config handling', () => {
+  describe('interpolateEnv', () => {
+    it('should replace ${NAME} with environment values', () => {
+      expect(interpolateEnv('secret_id: app/${STAGE}/${REGION}', { STAGE: 'prod', REGION: 'eu' }))
+        .toBe('secret_id: app/prod/eu');
+    });
+
+    it('should allow empty values', () => {
+      expect(interpolateEnv('prefix: "${PREFIX}"', { PREFIX: '' })).toBe('prefix: ""');
+    });
+
+    it('should keep $${NAME} as a literal reference', () => {
+      expect(interpolateEnv('value: $${HOME}', { HOME: '/root' })).toBe('value: ${HOME}');
+    });
+
+    it('should leave other dollar signs alone', () => {
+      expect(interpolateEnv('price: $5 ${{ not.an.env }}', {})).toBe('price: $5 ${{ not.an.env }}');
+    });
+
+    it('should report every unset variable', () => {
+      expect(() => interpolateEnv('${A} ${B} ${A}', {})).toThrow('Config references unset environment variables: A, B');
+    });
+  });
+
+  describe('validateConfigYaml', () => {
+    it('should accept a mapping', () => {
+      expect(validateConfigYaml('providers:\n  - kind: aws_secretsmanager\n')).toEqual([]);
+    });
+
+    it('should report syntax errors with line and column', () => {
+      const errors = validateConfigYaml('providers:\n  - kind: vault\n   path: x\n');
+
+      expect(errors).toEqual([{ message: 'Sequence item without - indicator', line: 3, column: 1 }]);
+    });
+
+    it('should report duplicate keys', () => {
+      expect(validateConfigYaml('cache: true\ncache: false\n')).toEqual([
+        { message: 'Map keys must be unique', line: 2, column: 1 },
+      ]);
+    });
+
+    it('should report tabs used for indentation', () => {
+      const [error] = validateConfigYaml('providers:\n\t- kind: vault\n');
+
+      expect(error.line).toBe(2);
+      expect(error.column).toBe(1);
+    });
+
+    it('should reject a config that is not a mapping', () => {
+      expect(validateConfigYaml('- kind: vault\n')).toEqual([
+        { message: 'Expected a mapping of sstart settings at the top level', line: 1, column: 1 },
+      ]);
+      expect(validateConfigYaml('')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { checkVariableName } from './validate.js';
+
+// Variables the sstart child keeps with isolate-env: what a process needs to find
+// executables, write temp files, resolve the home directory and reach the network
+export const ISOLATED_ENV_NAMES = [
+  'PATH',
+  'PATHEXT',
+  'HOME',
+  'USERPROFILE',
+  'TMPDIR',
+  'TEMP',
+  'TMP',
+  'LANG',
+  'SYSTEMROOT',
+  'WINDIR',
+  'COMSPEC',
+  'HTTP_PROXY',
+  'HTTPS_PROXY',
+  'NO_PROXY',
+  'SSL_CERT_FILE',
+  'SSL_CERT_DIR',
+];
+
+/**
+ * Parse the credentials input: KEY=VALUE lines, with the value running to the end of the line
+ * Errors refer to line numbers only, since the lines hold secrets.
+ */
+export function parseCredentials(text) {
+  const credentials = {};
+
+  (text || '').split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    const separator = line.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid credentials line ${index + 1}: expected KEY=VALUE`);
+    }
+
+    const key = line.slice(0, separator).trim();
+    const nameError = checkVariableName(key);
+    if (nameError) {
+      throw new Error(`Invalid credentials line ${index + 1}: ${nameError}`);
+    }
+    if (Object.prototype.hasOwnProperty.call(credentials, key)) {
+      throw new Error(`Invalid credentials line ${index + 1}: ${key} is set more than once`);
+    }
+    credentials[key] = line.slice(separator + 1);
+  });
+
+  return credentials;
+}
+
+/**
+ * Build the environment for the sstart child process
+ * Credentials are layered over the base environment; with isolate, only the
+ * ISOLATED_ENV_NAMES from the base environment are kept (matched case-insensitively,
+ * as Windows and proxy variables vary in case).
+ */
+export function buildChildEnv(baseEnv, credentials, { isolate = false } = {}) {
+  const env = {};
+
+  for (const [key, value] of Object.entries(baseEnv)) {
+    if (value !== undefined && (!isolate || ISOLATED_ENV_NAMES.includes(key.toUpperCase()))) {
+      env[key] = value;
+    }
+  }
+
+  return { ...env, ...credentials };
+}
+
+/**
+ * Build the environment for the run command: the step environment plus the fetched variables
+ * Action inputs (INPUT_*, which hold credentials and download headers) and the OIDC token
+ * request variables are dropped, so the command never sees what was meant for sstart alone.
+ */
+export function buildCommandEnv(baseEnv, envVars) {
+  const env = {};
+
+  for (const [key, value] of Object.entries(baseEnv)) {
+    const name = key.toUpperCase();
+    if (value !== undefined && !name.startsWith('INPUT_') && !name.startsWith('ACTIONS_ID_TOKEN_REQUEST_')) {
+      env[key] = value;
+    }
+  }
+
+  return { ...env, ...envVars };
+}
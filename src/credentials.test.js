@@ -0,0 +1,71 @@
+import { parseCredentials, buildChildEnv, buildCommandEnv } from './credentials.js';
+
+describe('Credentials', () => {
+  describe('parseCredentials', () => {
+    it('should parse KEY=VALUE lines and keep everything after the first =', () => {
+      expect(parseCredentials('AWS_ACCESS_KEY_ID=AKIA123\r\n\n  TOKEN=abc==def\n')).toEqual({
+        AWS_ACCESS_KEY_ID: 'AKIA123',
+        TOKEN: 'abc==def',
+      });
+    });
+
+    it('should return an empty object for empty input', () => {
+      expect(parseCredentials('')).toEqual({});
+    });
+
+    it('should reject malformed lines without echoing them', () => {
+      expect(() => parseCredentials('A=1\nsupersecret')).toThrow('Invalid credentials line 2: expected KEY=VALUE');
+      expect(() => parseCredentials('=supersecret')).not.toThrow(/supersecret/);
+    });
+
+    it('should reject invalid and repeated names', () => {
+      expect(() => parseCredentials('MY KEY=1')).toThrow('Invalid credentials line 1: name contains whitespace');
+      expect(() => parseCredentials('A=1\nA=2')).toThrow('Invalid credentials line 2: A is set more than once');
+    });
+  });
+
+  describe('buildChildEnv', () => {
+    const base = {
+      PATH: '/usr/bin',
+      Path: 'C:\\Windows',
+      HOME: '/home/runner',
+      https_proxy: 'http://proxy:3128',
+      GITHUB_TOKEN: 'ghs_x',
+      ACTIONS_RUNTIME_TOKEN: 'rt',
+      AWS_REGION: 'eu-west-1',
+    };
+
+    it('should layer credentials over the full environment by default', () => {
+      expect(buildChildEnv(base, { AWS_REGION: 'us-east-1' })).toEqual({ ...base, AWS_REGION: 'us-east-1' });
+    });
+
+    it('should keep only essential variables when isolated', () => {
+      expect(buildChildEnv(base, { TOKEN: 't' }, { isolate: true })).toEqual({
+        PATH: '/usr/bin',
+        Path: 'C:\\Windows',
+        HOME: '/home/runner',
+        https_proxy: 'http://proxy:3128',
+        TOKEN: 't',
+      });
+    });
+  });
+
+  describe('buildCommandEnv', () => {
+    it('should not pass credentials, action inputs or the OIDC request token to the command', () => {
+      const base = {
+        PATH: '/usr/bin',
+        GITHUB_SHA: 'abc',
+        INPUT_CREDENTIALS: 'AWS_SECRET_ACCESS_KEY=secret',
+        'INPUT_DOWNLOAD-HEADERS': 'Authorization: Bearer x',
+        ACTIONS_ID_TOKEN_REQUEST_TOKEN: 'oidc',
+        ACTIONS_ID_TOKEN_REQUEST_URL: 'https://token.actions',
+      };
+
+      expect(buildCommandEnv(base, { DB_URL: 'postgres://db' })).toEqual({
+        PATH: '/usr/bin',
+        GITHUB_SHA: 'abc',
+        DB_URL: 'postgres://db',
+      });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+// Known sstart failure classes, checked in order; the first matching pattern wins
+export const FAILURE_CLASSES = [
+  {
+    id: 'config',
+    title: 'sstart could not read its config',
+    hint: 'Check the provider kinds and fields in your config against the sstart configuration docs.',
+    pattern: /unknown (provider|kind|field)|unmarshal|yaml:|invalid config|config(uration)? (error|is invalid)|failed to (load|parse) config/i,
+  },
+  {
+    id: 'auth',
+    title: 'Authentication with a secret provider failed',
+    hint: 'Check the credentials or oidc inputs, and that the identity is allowed to read the secret.',
+    pattern: /unauthori[sz]ed|forbidden|access ?denied|permission denied|not authorized|authentication failed|invalid (credentials|token)|expired ?token|token (has )?expired|no valid credential|NoCredentialProviders|\b40[13]\b/i,
+  },
+  {
+    id: 'missing-secret',
+    title: 'A secret referenced in the config does not exist',
+    hint: 'Check the secret names and paths in your config, and the provider region, project or vault.',
+    pattern: /not found|ResourceNotFoundException|no such (secret|item|key)|does not exist|\b404\b/i,
+  },
+  {
+    id: 'network',
+    title: 'sstart could not reach a secret provider',
+    hint: 'Check network access from the runner, proxy settings (HTTPS_PROXY) and the provider endpoint.',
+    pattern: /timed? ?out|connection refused|connection reset|no such host|ENOTFOUND|dial tcp|TLS handshake|certificate/i,
+  },
+];
+
+const LEVELS = {
+  error: 'error', err: 'error', fatal: 'error', panic: 'error',
+  warn: 'warning', warning: 'warning',
+  info: 'info', debug: 'info', trace: 'info',
+};
+
+/**
+ * Split one stderr line into a level and message
+ * Understands JSON log lines ({"level": ..., "msg": ...}), logfmt (level=error msg="..."),
+ * and plain prefixes such as "Error:", "[WARN]" or "WARNING". The level is null when the
+ * line does not name one.
+ */
+export function parseStderrLine(line) {
+  const text = line.trim();
+
+  if (text.startsWith('{')) {
+    try {
+      const entry = JSON.parse(text);
+      const message = entry.msg || entry.message || entry.error;
+      if (typeof message === 'string') {
+        return { level: LEVELS[String(entry.level).toLowerCase()] || null, message };
+      }
+    } catch {
+      // Not JSON after all; treat it as plain text
+    }
+  }
+
+  const logfmtLevel = /(?:^|\s)level=(\w+)/i.exec(text);
+  if (logfmtLevel) {
+    const msg = /(?:^|\s)msg=(?:"((?:[^"\\]|\\.)*)"|(\S+))/.exec(text);
+    const message = msg ? (msg[1] !== undefined ? msg[1].replace(/\\(.)/g, '$1') : msg[2]) : text;
+    return { level: LEVELS[logfmtLevel[1].toLowerCase()] || null, message };
+  }
+
+  const prefix = /^\[?(error|err|fatal|panic|warn|warning|info|debug|trace)\]?(?::|\s+|$)\s*/i.exec(text);
+  if (prefix) {
+    return { level: LEVELS[prefix[1].toLowerCase()], message: text.slice(prefix[0].length) || text };
+  }
+
+  return { level: null, message: text };
+}
+
+/**
+ * Find the failure class a message belongs to, if any
+ */
+export function classifyMessage(message) {
+  return FAILURE_CLASSES.find(({ pattern }) => pattern.test(message)) || null;
+}
+
+/**
+ * Turn sstart's stderr into annotations
+ * When sstart failed, lines without a level are treated as errors; when it succeeded they
+ * are informational, so only real warnings and errors are annotated. Error lines carry the
+ * failure class that matched them. Returns { annotations, failureClass } where failureClass
+ * is the class of the first classified error.
+ */
+export function analyzeStderr(text, { failed = false } = {}) {
+  const annotations = [];
+  let failureClass = null;
+
+  for (const line of (text || '').split(/\r?\n/)) {
+    if (!line.trim()) {
+      continue;
+    }
+    const { level, message } = parseStderrLine(line);
+    const annotation = { level: level || (failed ? 'error' : 'info'), message };
+
+    if (annotation.level === 'error') {
+      const match = classifyMessage(message);
+      if (match) {
+        annotation.failureClass = match;
+        failureClass = failureClass || match;
+      }
+    }
+    annotations.push(annotation);
+  }
+
+  return { annotations, failureClass };
+}
+
+/**
+ * Replace every occurrence of the given secret strings with ***
+ * Longer secrets are replaced first so a secret containing another is fully hidden.
+ */
+export function redactSecrets(text, secrets) {
+  return [...new Set(secrets)]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .reduce((result, secret) => result.split(secret).join('***'), text);
+}
@@ -0,0 +1,69 @@
+import { parseStderrLine, classifyMessage, analyzeStderr, redactSecrets } from './diagnostics.js';
+
+describe('sstart diagnostics', () => {
+  describe('parseStderrLine', () => {
+    it('should read plain prefixes', () => {
+      expect(parseStderrLine('Error: failed to fetch secret')).toEqual({ level: 'error', message: 'failed to fetch secret' });
+      expect(parseStderrLine('[WARN] key FOO is empty')).toEqual({ level: 'warning', message: 'key FOO is empty' });
+      expect(parseStderrLine('WARNING provider is deprecated')).toEqual({ level: 'warning', message: 'provider is deprecated' });
+    });
+
+    it('should read logfmt lines', () => {
+      expect(parseStderrLine('time=2024-01-01T00:00:00Z level=ERROR msg="access denied: \\"arn\\"" provider=aws'))
+        .toEqual({ level: 'error', message: 'access denied: "arn"' });
+      expect(parseStderrLine('level=warn msg=slow')).toEqual({ level: 'warning', message: 'slow' });
+    });
+
+    it('should read JSON log lines', () => {
+      expect(parseStderrLine('{"level":"error","msg":"secret not found"}')).toEqual({ level: 'error', message: 'secret not found' });
+    });
+
+    it('should leave the level empty for unlabelled lines', () => {
+      expect(parseStderrLine('  something happened  ')).toEqual({ level: null, message: 'something happened' });
+      expect(parseStderrLine('{not json')).toEqual({ level: null, message: '{not json' });
+    });
+  });
+
+  describe('classifyMessage', () => {
+    it('should recognise known failure classes', () => {
+      expect(classifyMessage('AccessDeniedException: User is not authorized').id).toBe('auth');
+      expect(classifyMessage('ResourceNotFoundException: Secrets Manager can\'t find the specified secret').id).toBe('missing-secret');
+      expect(classifyMessage('yaml: line 3: did not find expected key').id).toBe('config');
+      expect(classifyMessage('dial tcp: lookup vault.internal: no such host').id).toBe('network');
+    });
+
+    it('should return null for unknown messages', () => {
+      expect(classifyMessage('something odd')).toBeNull();
+    });
+  });
+
+  describe('analyzeStderr', () => {
+    it('should treat unlabelled lines as errors when sstart failed', () => {
+      const { annotations, failureClass } = analyzeStderr('loading providers\nAccessDeniedException: denied\n', { failed: true });
+
+      expect(annotations.map(({ level }) => level)).toEqual(['error', 'error']);
+      expect(annotations[1].failureClass.id).toBe('auth');
+      expect(failureClass.id).toBe('auth');
+    });
+
+    it('should only surface warnings and errors when sstart succeeded', () => {
+      const { annotations, failureClass } = analyzeStderr('fetched 3 secrets\nwarning: key X is empty\n\n', { failed: false });
+
+      expect(annotations).toEqual([
+        { level: 'info', message: 'fetched 3 secrets' },
+        { level: 'warning', message: 'key X is empty' },
+      ]);
+      expect(failureClass).toBeNull();
+    });
+  });
+
+  describe('redactSecrets', () => {
+    it('should replace every occurrence, longest first', () => {
+      expect(redactSecrets('token=abc123 again abc123 and abc', ['abc', 'abc123'])).toBe('token=*** again *** and ***');
+    });
+
+    it('should ignore empty secrets', () => {
+      expect(redactSecrets('text', ['', undefined])).toBe('text');
+    });
+  });
+});
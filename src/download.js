@@ -0,0 +1,343 @@
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import { pipeline } from 'stream/promises';
+
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ESOCKETTIMEDOUT'];
+
+const DEFAULT_OPTIONS = {
+  headers: {},
+  retries: 3,
+  retryDelay: 1000,
+  timeout: 300000,
+  socketTimeout: 30000,
+  maxRedirects: 10,
+  ca: undefined,
+  env: process.env,
+  onRetry: () => {},
+};
+
+/**
+ * Create an error for a failed request, tagged with the status code and whether it is worth retrying
+ */
+function requestError(message, { statusCode, retryable = false } = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Combine a custom CA bundle with Node's bundled root certificates
+ * Setting `ca` on a request replaces the defaults, so both are passed together.
+ */
+function withRootCertificates(ca) {
+  return ca ? [...tls.rootCertificates, ...[].concat(ca)] : undefined;
+}
+
+/**
+ * Decide whether a failed attempt should be retried
+ * Retries 5xx and 429 responses, incomplete bodies and transient network errors.
+ */
+export function isRetryableError(error) {
+  if (error.retryable) {
+    return true;
+  }
+  if (error.statusCode) {
+    return error.statusCode >= 500 || error.statusCode === 429;
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Check whether a host is excluded from proxying by a NO_PROXY list
+ * Entries are comma or space separated host names, optionally with a port or a leading '.' / '*.'; '*' matches everything.
+ */
+export function shouldBypassProxy(targetUrl, noProxy) {
+  const url = new URL(targetUrl);
+  const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+
+  return (noProxy || '')
+    .split(/[\s,]+/)
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .some((entry) => {
+      if (entry === '*') {
+        return true;
+      }
+
+      let host = entry;
+      const portMatch = entry.match(/^(.*):(\d+)$/);
+      if (portMatch) {
+        if (portMatch[2] !== port) {
+          return false;
+        }
+        host = portMatch[1];
+      }
+      host = host.replace(/^\*?\./, '');
+
+      return hostname === host || hostname.endsWith(`.${host}`);
+    });
+}
+
+/**
+ * Resolve the proxy to use for a URL from HTTPS_PROXY / HTTP_PROXY and NO_PROXY (either case)
+ * Returns a URL object, or null when the request should go direct.
+ */
+export function getProxyUrl(targetUrl, env = process.env) {
+  const url = new URL(targetUrl);
+  if (shouldBypassProxy(url, env.NO_PROXY || env.no_proxy)) {
+    return null;
+  }
+
+  const proxy = url.protocol === 'https:'
+    ? env.HTTPS_PROXY || env.https_proxy
+    : env.HTTP_PROXY || env.http_proxy;
+  if (!proxy) {
+    return null;
+  }
+  return new URL(proxy.includes('://') ? proxy : `http://${proxy}`);
+}
+
+function proxyAuthorization(proxy) {
+  if (!proxy.username) {
+    return {};
+  }
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+/**
+ * Open a CONNECT tunnel through an HTTP(S) proxy to the target host
+ */
+function connectTunnel(proxy, url, options, signal) {
+  return new Promise((resolve, reject) => {
+    const port = url.port || 443;
+    const protocol = proxy.protocol === 'https:' ? https : http;
+    const req = protocol.request({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: `${url.hostname}:${port}`,
+      headers: { host: `${url.hostname}:${port}`, ...proxyAuthorization(proxy) },
+      ca: withRootCertificates(options.ca),
+      signal,
+    });
+
+    req.setTimeout(options.socketTimeout, () => {
+      req.destroy(Object.assign(new Error('Proxy connection timed out'), { code: 'ETIMEDOUT' }));
+    });
+    req.on('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        reject(requestError(`Proxy CONNECT failed with status ${res.statusCode}`, { statusCode: res.statusCode }));
+        return;
+      }
+      resolve(socket);
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * Send a single GET request, going through a proxy when one is configured
+ * Resolves with the response once headers arrive.
+ */
+async function sendRequest(url, headers, options, signal) {
+  const proxy = getProxyUrl(url, options.env);
+  const isHttps = url.protocol === 'https:';
+  const requestHeaders = { 'User-Agent': 'setup-sstart-env', ...headers };
+
+  // HTTPS through a proxy: tunnel with CONNECT, then speak TLS over the tunnel. Without an
+  // agent, the request opens its connection with createConnection instead of dialling the host.
+  const ca = withRootCertificates(options.ca);
+  let connectionOptions = { ca };
+  let tunnel = null;
+  if (proxy && isHttps) {
+    tunnel = await connectTunnel(proxy, url, options, signal);
+    connectionOptions = {
+      defaultPort: 443, // Normally taken from the agent; keeps the Host header free of a port
+      createConnection: () => tls.connect({ socket: tunnel, servername: url.hostname, ca }),
+    };
+  }
+  const closeTunnel = () => {
+    if (tunnel) {
+      tunnel.destroy();
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    const onResponse = (res) => {
+      res.once('close', closeTunnel);
+      resolve(res);
+    };
+
+    let req;
+    if (proxy && !isHttps) {
+      // Plain HTTP through a proxy: send the absolute URL to the proxy itself
+      req = http.get({
+        host: proxy.hostname,
+        port: proxy.port || 80,
+        path: url.href,
+        headers: { ...requestHeaders, host: url.host, ...proxyAuthorization(proxy) },
+        signal,
+      }, onResponse);
+    } else {
+      req = (isHttps ? https : http).get(url, { ...connectionOptions, headers: requestHeaders, signal }, onResponse);
+    }
+
+    req.setTimeout(options.socketTimeout, () => {
+      req.destroy(Object.assign(new Error(`Socket timed out after ${options.socketTimeout / 1000}s`), { code: 'ETIMEDOUT' }));
+    });
+    req.on('error', (error) => {
+      closeTunnel();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Issue a GET request and follow redirects up to options.maxRedirects
+ * Headers are only sent to the original host, so credentials never leak to a redirect target.
+ */
+async function get(url, options, signal) {
+  const origin = new URL(url).host;
+  let currentUrl = new URL(url);
+
+  for (let redirects = 0; ; redirects++) {
+    const headers = currentUrl.host === origin ? options.headers : {};
+    const res = await sendRequest(currentUrl, headers, options, signal);
+
+    if (REDIRECT_STATUS_CODES.includes(res.statusCode)) {
+      res.resume();
+      if (!res.headers.location) {
+        throw requestError(`Redirect with status ${res.statusCode} has no Location header`, { statusCode: res.statusCode });
+      }
+      if (redirects >= options.maxRedirects) {
+        throw requestError(`Too many redirects (maximum ${options.maxRedirects})`);
+      }
+      currentUrl = new URL(res.headers.location, currentUrl);
+      continue;
+    }
+
+    if (res.statusCode !== 200) {
+      res.resume();
+      throw requestError(`Download failed with status ${res.statusCode}`, { statusCode: res.statusCode });
+    }
+
+    return res;
+  }
+}
+
+/**
+ * Throw a retryable error when fewer bytes arrived than the Content-Length header promised
+ */
+function checkContentLength(res, received) {
+  const expected = Number(res.headers['content-length']);
+  if (res.headers['content-length'] !== undefined && received !== expected) {
+    throw requestError(`Incomplete download: received ${received} of ${expected} bytes`, { retryable: true });
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an attempt with retries and exponential backoff, all bounded by options.timeout
+ * A timeout of 0 means no total limit; each request is still bounded by socketTimeout.
+ */
+async function withRetries(attempt, options) {
+  const deadline = options.timeout > 0 ? Date.now() + options.timeout : Infinity;
+
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    const controller = new AbortController();
+    const timer = deadline === Infinity ? null : setTimeout(() => controller.abort(), Math.max(deadline - Date.now(), 0));
+
+    try {
+      return await attempt(controller.signal);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new Error(`Request timed out after ${options.timeout / 1000}s`);
+      }
+
+      const delay = options.retryDelay * 2 ** attemptNumber;
+      if (!isRetryableError(error) || attemptNumber >= options.retries || Date.now() + delay >= deadline) {
+        throw error;
+      }
+      options.onRetry(error, attemptNumber + 1, delay);
+      await sleep(delay);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Download a URL to a file
+ * Supports retries with backoff, a total timeout, a redirect limit, HTTP(S)_PROXY/NO_PROXY,
+ * a custom CA bundle (options.ca) and verification of the Content-Length.
+ */
+export async function downloadFile(url, destPath, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  try {
+    await withRetries(async (signal) => {
+      const res = await get(url, settings, signal);
+      let received = 0;
+      res.on('data', (chunk) => {
+        received += chunk.length;
+      });
+      await pipeline(res, fs.createWriteStream(destPath));
+      checkContentLength(res, received);
+    }, settings);
+  } catch (error) {
+    fs.rmSync(destPath, { force: true }); // Delete the partial file on error
+    throw error;
+  }
+}
+
+/**
+ * Fetch a URL and return the response body as a string, with the same behavior as downloadFile
+ */
+export async function fetchText(url, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  return withRetries(async (signal) => {
+    const res = await get(url, settings, signal);
+    const chunks = [];
+    for await (const chunk of res) {
+      chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks);
+    checkContentLength(res, body.length);
+    return body.toString('utf8');
+  }, settings);
+}
+
+/**
+ * Parse "Name: value" lines (e.g. a multiline action input) into a headers object
+ * Blank lines are ignored; lines without a colon are rejected.
+ */
+export function parseHeaderLines(text) {
+  const headers = {};
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) {
+      continue;
+    }
+
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid header line "${line.split(/\s/)[0]}...": expected "Name: value"`);
+    }
+    headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+
+  return headers;
+}
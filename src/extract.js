@@ -0,0 +1,206 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const gunzip = promisify(zlib.gunzip);
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Read a NUL-terminated string field from a tar header
+ */
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+}
+
+/**
+ * Read a numeric tar header field (octal text, or base-256 when the high bit is set)
+ */
+function readNumber(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f;
+    for (let i = 1; i < field.length; i++) {
+      value = value * 256 + field[i];
+    }
+    return value;
+  }
+
+  const text = readString(header, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Parse pax extended header records
+ * Expected format: "<length> <key>=<value>\n" repeated
+ */
+function parsePaxHeaders(data) {
+  const headers = {};
+  let offset = 0;
+
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) {
+      break;
+    }
+    const length = parseInt(data.subarray(offset, space).toString('utf8'), 10);
+    if (!length) {
+      break;
+    }
+    const record = data.subarray(space + 1, offset + length - 1).toString('utf8');
+    const separator = record.indexOf('=');
+    if (separator !== -1) {
+      headers[record.slice(0, separator)] = record.slice(separator + 1);
+    }
+    offset += length;
+  }
+
+  return headers;
+}
+
+/**
+ * Parse an uncompressed tar buffer into a list of entries
+ * Supports ustar, GNU long names and pax path overrides.
+ * Each entry is { name, type, mode, data } where type is 'file', 'directory', 'symlink', 'link' or 'other'.
+ */
+export function parseTar(buffer) {
+  const entries = [];
+  let offset = 0;
+  let pendingName = null;
+
+  while (offset + BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + BLOCK_SIZE);
+    offset += BLOCK_SIZE;
+
+    // Two zero blocks mark the end of the archive; a single one is enough to stop
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+
+    const size = readNumber(header, 124, 12);
+    const typeFlag = String.fromCharCode(header[156] || 0x30);
+    const data = buffer.subarray(offset, offset + size);
+    if (data.length < size) {
+      throw new Error('Unexpected end of tar archive');
+    }
+    offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    if (typeFlag === 'L') {
+      pendingName = readString(data, 0, data.length);
+      continue;
+    }
+    if (typeFlag === 'x') {
+      const paxHeaders = parsePaxHeaders(data);
+      if (paxHeaders.path) {
+        pendingName = paxHeaders.path;
+      }
+      continue;
+    }
+    if (typeFlag === 'g') {
+      continue;
+    }
+
+    let name = readString(header, 0, 100);
+    const prefix = readString(header, 257, 6).startsWith('ustar') ? readString(header, 345, 155) : '';
+    if (prefix) {
+      name = `${prefix}/${name}`;
+    }
+    if (pendingName !== null) {
+      name = pendingName;
+      pendingName = null;
+    }
+
+    const types = { '0': 'file', '7': 'file', '5': 'directory', '2': 'symlink', '1': 'link' };
+    entries.push({
+      name,
+      type: types[typeFlag] || 'other',
+      mode: readNumber(header, 100, 8) & 0o777,
+      data,
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Drop the first `count` path components from an archive entry name, like tar --strip-components
+ * Returns null when nothing is left, so the entry should be skipped.
+ */
+export function stripComponents(name, count) {
+  const parts = name.split('/').filter((part) => part && part !== '.');
+  const remaining = parts.slice(count);
+  return remaining.length ? remaining.join('/') : null;
+}
+
+/**
+ * Resolve an archive entry name inside the destination directory
+ * Throws for absolute paths and entries that would escape the destination.
+ */
+export function resolveEntryPath(destDir, name) {
+  if (path.isAbsolute(name) || /^[a-zA-Z]:/.test(name) || name.startsWith('\\')) {
+    throw new Error(`Refusing to extract absolute path from archive: ${name}`);
+  }
+
+  const root = path.resolve(destDir);
+  const target = path.resolve(root, name.replace(/\\/g, '/'));
+  if (target !== root && !target.startsWith(root + path.sep)) {
+    throw new Error(`Refusing to extract path outside the destination directory: ${name}`);
+  }
+  return target;
+}
+
+/**
+ * Extract a .tar.gz archive into a directory without relying on a tar binary
+ * Regular files and directories are extracted; links and special entries are skipped.
+ * Every entry is checked for path traversal before anything is written.
+ */
+export async function extractTarGz(archivePath, destDir, { strip = 0 } = {}) {
+  const entries = parseTar(await gunzip(fs.readFileSync(archivePath)));
+
+  const planned = [];
+  for (const entry of entries) {
+    const name = stripComponents(entry.name, strip);
+    if (name === null) {
+      continue;
+    }
+    planned.push({ ...entry, target: resolveEntryPath(destDir, name) });
+  }
+
+  fs.mkdirSync(destDir, { recursive: true });
+  for (const entry of planned) {
+    if (entry.type === 'directory') {
+      fs.mkdirSync(entry.target, { recursive: true });
+    } else if (entry.type === 'file') {
+      fs.mkdirSync(path.dirname(entry.target), { recursive: true });
+      fs.writeFileSync(entry.target, entry.data, { mode: entry.mode || 0o644 });
+    }
+  }
+
+  return planned.filter((entry) => entry.type === 'file').map((entry) => entry.target);
+}
+
+/**
+ * Find the sstart binary within an extracted archive, searching subdirectories if needed
+ * Returns null when the binary is not present.
+ */
+export function findBinary(dir, binaryName) {
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  const match = entries.find((entry) => entry.isFile() && entry.name === binaryName);
+  if (match) {
+    return path.join(dir, match.name);
+  }
+
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      const found = findBinary(path.join(dir, entry.name), binaryName);
+      if (found) {
+        return found;
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,187 @@
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, statSync, rmSync, mkdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { gzipSync } from 'zlib';
+import { parseTar, stripComponents, resolveEntryPath, extractTarGz, findBinary } from './extract.js';
+
+// Build a single ustar entry (header + padded data)
+function tarEntry(name, content = '', { type = '0', mode = 0o644 } = {}) {
+  const data = Buffer.from(content);
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100, 'utf8');
+  header.write(mode.toString(8).padStart(7, '0'), 100, 8, 'ascii');
+  header.write('0000000', 108, 8, 'ascii');
+  header.write('0000000', 116, 8, 'ascii');
+  header.write(data.length.toString(8).padStart(11, '0'), 124, 12, 'ascii');
+  header.write('00000000000', 136, 12, 'ascii');
+  header.write(type, 156, 1, 'ascii');
+  header.write('ustar', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  // Checksum is computed with the checksum field filled with spaces
+  header.fill(0x20, 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+  const padded = Buffer.alloc(Math.ceil(data.length / 512) * 512);
+  data.copy(padded);
+  return Buffer.concat([header, padded]);
+}
+
+function paxEntry(records) {
+  const body = Object.entries(records).map(([key, value]) => {
+    const record = ` ${key}=${value}\n`;
+    let length = record.length;
+    length += String(length + String(length).length).length;
+    return `${length}${record}`;
+  }).join('');
+  return tarEntry('PaxHeader', body, { type: 'x' });
+}
+
+function buildTar(...entries) {
+  return Buffer.concat([...entries, Buffer.alloc(1024)]);
+}
+
+describe('Archive extraction', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'sstart-extract-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function writeArchive(tar) {
+    const archivePath = join(tempDir, 'archive.tar.gz');
+    writeFileSync(archivePath, gzipSync(tar));
+    return archivePath;
+  }
+
+  describe('parseTar', () => {
+    it('should parse files and directories', () => {
+      const entries = parseTar(buildTar(
+        tarEntry('sstart-0.0.10/', '', { type: '5', mode: 0o755 }),
+        tarEntry('sstart-0.0.10/sstart', 'binary', { mode: 0o755 }),
+      ));
+
+      expect(entries.map(({ name, type, mode }) => ({ name, type, mode }))).toEqual([
+        { name: 'sstart-0.0.10/', type: 'directory', mode: 0o755 },
+        { name: 'sstart-0.0.10/sstart', type: 'file', mode: 0o755 },
+      ]);
+      expect(entries[1].data.toString()).toBe('binary');
+    });
+
+    it('should apply pax path overrides', () => {
+      const longName = `${'nested/'.repeat(20)}sstart`;
+      const entries = parseTar(buildTar(paxEntry({ path: longName }), tarEntry('truncated', 'x')));
+      expect(entries).toHaveLength(1);
+      expect(entries[0].name).toBe(longName);
+    });
+
+    it('should throw for a truncated archive', () => {
+      const entry = tarEntry('sstart', 'a'.repeat(1000));
+      expect(() => parseTar(entry.subarray(0, 600))).toThrow('Unexpected end of tar archive');
+    });
+  });
+
+  describe('stripComponents', () => {
+    it('should drop leading path components', () => {
+      expect(stripComponents('sstart-0.0.10/bin/sstart', 1)).toBe('bin/sstart');
+      expect(stripComponents('./sstart-0.0.10/sstart', 1)).toBe('sstart');
+    });
+
+    it('should return null when no components remain', () => {
+      expect(stripComponents('sstart-0.0.10/', 1)).toBeNull();
+    });
+
+    it('should keep names unchanged when count is zero', () => {
+      expect(stripComponents('sstart', 0)).toBe('sstart');
+    });
+  });
+
+  describe('resolveEntryPath', () => {
+    it('should resolve entries inside the destination', () => {
+      expect(resolveEntryPath(tempDir, 'bin/sstart')).toBe(join(tempDir, 'bin', 'sstart'));
+    });
+
+    it('should reject parent directory traversal', () => {
+      expect(() => resolveEntryPath(tempDir, '../evil')).toThrow('outside the destination directory');
+      expect(() => resolveEntryPath(tempDir, 'bin/../../evil')).toThrow('outside the destination directory');
+    });
+
+    it('should reject absolute paths', () => {
+      expect(() => resolveEntryPath(tempDir, '/etc/passwd')).toThrow('absolute path');
+      expect(() => resolveEntryPath(tempDir, 'C:\\Windows\\evil')).toThrow('absolute path');
+    });
+  });
+
+  describe('extractTarGz', () => {
+    it('should extract files and preserve the executable bit', async () => {
+      const archivePath = writeArchive(buildTar(
+        tarEntry('sstart-0.0.10/', '', { type: '5', mode: 0o755 }),
+        tarEntry('sstart-0.0.10/sstart', '#!/bin/sh', { mode: 0o755 }),
+        tarEntry('sstart-0.0.10/LICENSE', 'ISC'),
+      ));
+      const destDir = join(tempDir, 'out');
+
+      await extractTarGz(archivePath, destDir);
+
+      const binaryPath = join(destDir, 'sstart-0.0.10', 'sstart');
+      expect(readFileSync(binaryPath, 'utf8')).toBe('#!/bin/sh');
+      if (process.platform !== 'win32') {
+        expect(statSync(binaryPath).mode & 0o111).not.toBe(0);
+      }
+    });
+
+    it('should strip leading components when requested', async () => {
+      const archivePath = writeArchive(buildTar(tarEntry('sstart-0.0.10/sstart', 'bin')));
+      const destDir = join(tempDir, 'out');
+
+      await extractTarGz(archivePath, destDir, { strip: 1 });
+
+      expect(existsSync(join(destDir, 'sstart'))).toBe(true);
+    });
+
+    it('should reject path traversal without writing any files', async () => {
+      const archivePath = writeArchive(buildTar(
+        tarEntry('sstart', 'bin'),
+        tarEntry('../escaped', 'evil'),
+      ));
+      const destDir = join(tempDir, 'out');
+
+      await expect(extractTarGz(archivePath, destDir)).rejects.toThrow('outside the destination directory');
+      expect(existsSync(join(tempDir, 'escaped'))).toBe(false);
+      expect(existsSync(join(destDir, 'sstart'))).toBe(false);
+    });
+
+    it('should skip symlink entries', async () => {
+      const archivePath = writeArchive(buildTar(tarEntry('link', '', { type: '2' }), tarEntry('sstart', 'bin')));
+      const destDir = join(tempDir, 'out');
+
+      const files = await extractTarGz(archivePath, destDir);
+
+      expect(files).toEqual([join(destDir, 'sstart')]);
+      expect(existsSync(join(destDir, 'link'))).toBe(false);
+    });
+  });
+
+  describe('findBinary', () => {
+    it('should find the binary at the top level', () => {
+      writeFileSync(join(tempDir, 'sstart'), '');
+      expect(findBinary(tempDir, 'sstart')).toBe(join(tempDir, 'sstart'));
+    });
+
+    it('should find the binary in nested directories', () => {
+      mkdirSync(join(tempDir, 'sstart-0.0.10', 'bin'), { recursive: true });
+      writeFileSync(join(tempDir, 'sstart-0.0.10', 'bin', 'sstart'), '');
+      expect(findBinary(tempDir, 'sstart')).toBe(join(tempDir, 'sstart-0.0.10', 'bin', 'sstart'));
+    });
+
+    it('should return null when the binary is missing', () => {
+      writeFileSync(join(tempDir, 'README.md'), '');
+      expect(findBinary(tempDir, 'sstart')).toBeNull();
+    });
+  });
+});
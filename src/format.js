@@ -0,0 +1,49 @@
+export const OUTPUT_FORMATS = ['dotenv', 'json', 'yaml', 'shell-export'];
+
+/**
+ * Quote a value for a dotenv file
+ * Values without single quotes or line breaks are single-quoted, which every dotenv
+ * parser (docker compose included) reads literally. Anything else is double-quoted
+ * with backslash escapes for quotes, backslashes, line breaks and `$`.
+ */
+export function quoteDotenv(value) {
+  if (!/['\r\n]/.test(value)) {
+    return `'${value}'`;
+  }
+
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\$/g, '\\$')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+  return `"${escaped}"`;
+}
+
+/**
+ * Quote a value for POSIX shells using single quotes
+ */
+export function quoteShell(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Render variables in one of the OUTPUT_FORMATS
+ * YAML values are written as double-quoted scalars, which share JSON's escaping rules.
+ */
+export function formatVariables(envVars, format) {
+  const entries = Object.entries(envVars);
+
+  switch (format) {
+    case 'dotenv':
+      return entries.map(([key, value]) => `${key}=${quoteDotenv(String(value))}\n`).join('');
+    case 'json':
+      return `${JSON.stringify(envVars, null, 2)}\n`;
+    case 'yaml':
+      return entries.map(([key, value]) => `${key}: ${JSON.stringify(String(value))}\n`).join('');
+    case 'shell-export':
+      return entries.map(([key, value]) => `export ${key}=${quoteShell(String(value))}\n`).join('');
+    default:
+      throw new Error(`Unsupported output format: ${format}. Expected one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
@@ -0,0 +1,62 @@
+import { quoteDotenv, quoteShell, formatVariables } from './format.js';
+
+describe('Output file formats', () => {
+  const envVars = {
+    SIMPLE: 'value',
+    QUOTE: "it's",
+    MULTILINE: '-----BEGIN KEY-----\nabc\n-----END KEY-----',
+  };
+
+  describe('quoteDotenv', () => {
+    it('should single-quote plain values so they are read literally', () => {
+      expect(quoteDotenv('p@ss $HOME "x"')).toBe(`'p@ss $HOME "x"'`);
+    });
+
+    it('should double-quote and escape values with quotes or line breaks', () => {
+      expect(quoteDotenv("it's")).toBe(`"it's"`);
+      expect(quoteDotenv('a\nb\r\nc')).toBe('"a\\nb\\r\\nc"');
+      expect(quoteDotenv('a\'"\\$b')).toBe('"a\'\\"\\\\\\$b"');
+    });
+  });
+
+  describe('quoteShell', () => {
+    it('should wrap values in single quotes and escape embedded quotes', () => {
+      expect(quoteShell('value')).toBe("'value'");
+      expect(quoteShell("it's")).toBe("'it'\\''s'");
+      expect(quoteShell('$(rm -rf /)')).toBe("'$(rm -rf /)'");
+    });
+  });
+
+  describe('formatVariables', () => {
+    it('should render dotenv', () => {
+      expect(formatVariables(envVars, 'dotenv')).toBe([
+        "SIMPLE='value'",
+        `QUOTE="it's"`,
+        'MULTILINE="-----BEGIN KEY-----\\nabc\\n-----END KEY-----"',
+        '',
+      ].join('\n'));
+    });
+
+    it('should render JSON that round-trips', () => {
+      expect(JSON.parse(formatVariables(envVars, 'json'))).toEqual(envVars);
+    });
+
+    it('should render YAML with double-quoted scalars', () => {
+      expect(formatVariables({ MULTILINE: envVars.MULTILINE }, 'yaml'))
+        .toBe('MULTILINE: "-----BEGIN KEY-----\\nabc\\n-----END KEY-----"\n');
+    });
+
+    it('should render shell exports', () => {
+      expect(formatVariables({ SIMPLE: 'value', QUOTE: "it's" }, 'shell-export'))
+        .toBe("export SIMPLE='value'\nexport QUOTE='it'\\''s'\n");
+    });
+
+    it('should coerce non-string values', () => {
+      expect(formatVariables({ PORT: 5432 }, 'dotenv')).toBe("PORT='5432'\n");
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => formatVariables(envVars, 'toml')).toThrow('Unsupported output format: toml');
+    });
+  });
+});
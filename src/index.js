@@ -2,8 +2,32 @@ const core = require('@actions/core');
 const exec = require('@actions/exec');
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
+const { tmpdir } = require('os');
+const tc = require('@actions/tool-cache');
+const { hashFile, parseChecksumManifest, normalizeSha256, verifyChecksum, verifyManifestSignature } = require('./checksum');
+const { FALLBACK_VERSION, resolveVersion, fetchReleaseTags, getReleasesToken } = require('./version');
+const { getPlatformInfo, getDownloadCandidates } = require('./platform');
+const { extractTarGz, findBinary } = require('./extract');
+const { downloadFile, parseHeaderLines } = require('./download');
+const { OUTPUT_FORMATS, formatVariables } = require('./format');
+const { parseList, parseRenameMap, matchesAny, transformKeys, findCollisions, findOutputClashes } = require('./keys');
+const { VALUE_POLICIES, validateVariables } = require('./validate');
+const { DEFAULT_MASK_MIN_LENGTH, getMaskValues } = require('./mask');
+const { interpolateEnv, validateConfigYaml } = require('./config');
+const { parseProfiles, mergeProfiles } = require('./profiles');
+const { formatDuration, describeInstall, buildKeyRows } = require('./summary');
+const { parseKeyFormats, checkRequirements } = require('./requirements');
+const { SHELLS, buildShellScript } = require('./shell');
+const { parseCredentials, buildChildEnv, buildCommandEnv } = require('./credentials');
+const { OIDC_PROVIDERS, resolveOidcOptions, requestIdToken, writeOidcCredentials } = require('./oidc');
+const { analyzeStderr, redactSecrets } = require('./diagnostics');
+const { runProcess, runWithRetries, parseExitCodes } = require('./spawn');
+const { parseBaseline, diffKeys, formatKeyDiff } = require('./baseline');
+const { cleanup } = require('./cleanup');
+const { installBinary } = require('./install');
+const { resolveMode, checkModeInputs, getExportTargets } = require('./mode');
+
+const CHECKSUM_MANIFEST = 'checksums.txt';
 
 /**
  * Parse environment variable output from sstart env command
@@ -30,159 +54,718 @@ function parseEnvOutput(output) {
   }
 }
 
+/**
+ * Read a non-negative integer input, falling back to a default when empty
+ */
+function getIntegerInput(name, defaultValue) {
+  const value = core.getInput(name);
+  if (!value) {
+    return defaultValue;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`Input ${name} must be a non-negative integer, got "${value}"`);
+  }
+  return parsed;
+}
+
+/**
+ * Read an input that must be one of a fixed set of values
+ */
+function getChoiceInput(name, choices, defaultValue) {
+  const value = (core.getInput(name) || defaultValue).toLowerCase();
+  if (!choices.includes(value)) {
+    throw new Error(`Input ${name} must be one of ${choices.join(', ')}, got "${value}"`);
+  }
+  return value;
+}
+
+/**
+ * Read a profile's config and annotate any YAML problems
+ * Config files from the repository may pull values from the environment with ${NAME}.
+ * Returns { config, errorCount }.
+ */
+function readProfileConfig(profile, label) {
+  const config = profile.configFile ? interpolateEnv(fs.readFileSync(profile.configFile, 'utf8')) : profile.config;
+  const errors = validateConfigYaml(config);
+
+  const source = profile.configFile || label;
+  errors.forEach(({ message, line, column }) => {
+    core.error(`${source}:${line}:${column}: ${message}`, {
+      title: 'Invalid sstart config',
+      file: profile.configFile || undefined,
+      startLine: line,
+      startColumn: column,
+    });
+  });
+
+  return { config, errorCount: errors.length };
+}
+
+/**
+ * Run sstart env in a directory holding .sstart.yml and capture its output without logging it
+ * Each attempt is limited to timeout ms; failed attempts that match the retry policy are
+ * retried up to retries times with exponential backoff. Returns the last attempt's
+ * { exitCode, output, errorOutput, timedOut }.
+ */
+async function runSstartEnv(binaryPath, cwd, env, { timeout, retries, backoff, retryOn }) {
+  const result = await runWithRetries(() => runProcess(binaryPath, ['env', '--format', 'json'], { cwd, env, timeout }), {
+    retries,
+    backoff,
+    retryOn,
+    onRetry: (failed, attempt, delay) => {
+      const reason = failed.timedOut ? `timed out after ${timeout / 1000}s` : `exited with code ${failed.exitCode}`;
+      core.warning(`sstart env ${reason}; retry ${attempt} of ${retries} in ${delay / 1000}s`);
+    },
+  });
+  return { exitCode: result.exitCode, output: result.stdout, errorOutput: result.stderr, timedOut: result.timedOut };
+}
+
+/**
+ * Report sstart's stderr line by line as annotations, with known secrets redacted
+ * Failed runs annotate unlabelled lines as errors with a hint for recognised failure
+ * classes; successful runs surface warnings and log everything else. Returns the failure
+ * class of the first classified error, or null.
+ */
+function reportStderr(errorOutput, { failed, secrets, forProfile }) {
+  const { annotations, failureClass } = analyzeStderr(redactSecrets(errorOutput, secrets), { failed });
+
+  for (const { level, message, failureClass: match } of annotations) {
+    if (level === 'error') {
+      core.error(match ? `${message}\n${match.hint}` : message, { title: match ? match.title : `sstart env${forProfile}` });
+    } else if (level === 'warning') {
+      core.warning(message, { title: `sstart env${forProfile}` });
+    } else {
+      core.info(`sstart: ${message}`);
+    }
+  }
+  return failureClass;
+}
+
+/**
+ * Annotate each missing or invalid key and fail the step; returns true when there were problems
+ */
+function failOnRequirementErrors(errors) {
+  if (errors.length === 0) {
+    return false;
+  }
+  errors.forEach(({ key, message }) => core.error(`${key}: ${message}`, { title: 'Required secret check failed' }));
+  core.setFailed(`${errors.length} required key(s) missing or invalid: ${errors.map(({ key }) => key).join(', ')}`);
+  return true;
+}
+
+/**
+ * Run a shell command with the fetched variables added to its environment only
+ * Output is streamed to the log, where the runner masks registered secrets. The script
+ * file holds the command text, never secret values, and the command does not inherit the
+ * action's inputs. Returns the command's exit code.
+ */
+async function runCommand(command, shell, envVars, workDir) {
+  const scriptPath = path.join(workDir, `run${SHELLS[shell].extension}`);
+  fs.writeFileSync(scriptPath, buildShellScript(shell, command, process.cwd()), { encoding: 'utf8', mode: 0o700 });
+
+  const [tool, ...args] = SHELLS[shell].args(scriptPath);
+  return exec.exec(tool, args, {
+    env: buildCommandEnv(process.env, envVars),
+    ignoreReturnCode: true,
+    windowsVerbatimArguments: shell === 'cmd',
+  });
+}
+
 async function run() {
+  let workDir = '';
   try {
-    const config = core.getInput('config', { required: true });
-    const version = core.getInput('version') || '0.0.2';
+    const configInput = core.getInput('config');
+    const configFile = core.getInput('config-file');
+    const profilesInput = core.getInput('profiles');
+    const versionInput = core.getInput('version') || FALLBACK_VERSION;
+    const token = core.getInput('token');
+    const pinnedSha256 = core.getInput('sha256');
+    const verifySignature = core.getBooleanInput('verify-signature');
+    const signaturePublicKey = core.getInput('signature-public-key');
+    const useCache = core.getBooleanInput('cache');
+    const installDirInput = core.getInput('install-dir');
+    const caFile = core.getInput('ca-file');
+    const downloadUrlTemplate = core.getInput('download-url');
+    const binaryPathInput = core.getInput('binary-path');
+    const exportMode = getChoiceInput('export-mode', ['env', 'outputs', 'both'], 'env');
+    const outputFile = core.getInput('output-file');
+    const outputFormat = getChoiceInput('output-format', OUTPUT_FORMATS, 'dotenv');
+    const cleanupOutputFile = core.getBooleanInput('output-file-cleanup');
+    const keyOptions = {
+      include: parseList(core.getInput('include')),
+      exclude: parseList(core.getInput('exclude')),
+      stripPrefix: core.getInput('strip-prefix'),
+      rename: parseRenameMap(core.getInput('rename')),
+      prefix: core.getInput('prefix'),
+    };
+    const onCollision = getChoiceInput('on-collision', ['warn', 'fail'], 'warn');
+    const validationOptions = {
+      valuePolicy: getChoiceInput('non-string-values', VALUE_POLICIES, 'coerce'),
+      allowProtected: parseList(core.getInput('allow-protected-names')),
+    };
+    const maskMinLength = getIntegerInput('mask-min-length', DEFAULT_MASK_MIN_LENGTH);
+    const nonSecretKeys = parseList(core.getInput('non-secret-keys'));
+    const writeSummary = core.getBooleanInput('job-summary');
+    const command = core.getInput('run');
+    const mode = resolveMode(core.getInput('mode'), command);
+    const baselineFile = core.getInput('baseline-file');
+    const onBaselineMismatch = getChoiceInput('on-baseline-mismatch', ['warn', 'fail'], 'fail');
+    const isolateEnv = core.getBooleanInput('isolate-env');
+    const retryPattern = core.getInput('retry-on-stderr');
+    const envRunOptions = {
+      timeout: getIntegerInput('timeout-seconds', 300) * 1000,
+      retries: getIntegerInput('retries', 0),
+      backoff: getIntegerInput('retry-backoff', 5) * 1000,
+      retryOn: {
+        exitCodes: parseExitCodes(core.getInput('retry-on-exit-codes')),
+        pattern: retryPattern ? new RegExp(retryPattern, 'i') : null,
+      },
+    };
 
-    // Determine platform (only darwin and linux supported)
-    const platform = process.platform;
-    const arch = process.arch;
-    
-    if (platform !== 'darwin' && platform !== 'linux') {
-      core.setFailed(`Unsupported platform: ${platform}. Only darwin and linux are supported.`);
-      return;
+    // Provider credentials are only handed to the sstart child, never exported or logged
+    const credentials = parseCredentials(core.getInput('credentials'));
+    Object.values(credentials).forEach((value) => getMaskValues(value).forEach((mask) => core.setSecret(mask)));
+    const sstartEnv = buildChildEnv(process.env, credentials, { isolate: isolateEnv });
+    // Values redacted from sstart's stderr before it is logged, on top of the runner's masking
+    const knownSecrets = Object.values(credentials).flatMap((value) => getMaskValues(value));
+
+    // Optional OIDC federation: the ID token is exchanged by the provider SDKs inside sstart
+    const oidcProvider = core.getInput('oidc') && mode !== 'setup' ? getChoiceInput('oidc', OIDC_PROVIDERS, '') : '';
+    const oidcOptions = oidcProvider && resolveOidcOptions(oidcProvider, {
+      audience: core.getInput('oidc-audience'),
+      awsRoleArn: core.getInput('aws-role-arn'),
+      awsRoleSessionName: core.getInput('aws-role-session-name'),
+      gcpWorkloadIdentityProvider: core.getInput('gcp-workload-identity-provider'),
+      gcpServiceAccount: core.getInput('gcp-service-account'),
+      azureClientId: core.getInput('azure-client-id'),
+      azureTenantId: core.getInput('azure-tenant-id'),
+    });
+    const shell = getChoiceInput('shell', Object.keys(SHELLS), process.platform === 'win32' ? 'pwsh' : 'bash');
+    const requirements = {
+      required: parseList(core.getInput('required-keys')),
+      formats: parseKeyFormats(core.getInput('key-formats')),
+    };
+
+    // Extra headers (e.g. Authorization for a private mirror) are only sent with sstart downloads
+    const downloadHeaders = parseHeaderLines(core.getInput('download-headers'));
+    Object.values(downloadHeaders).forEach((value) => core.setSecret(value));
+
+    // Network settings shared by every download and API call
+    const downloadOptions = {
+      retries: getIntegerInput('download-retries', 3),
+      timeout: getIntegerInput('download-timeout', 300) * 1000,
+      maxRedirects: getIntegerInput('max-redirects', 10),
+      headers: downloadHeaders,
+      ca: caFile ? fs.readFileSync(caFile, 'utf8') : undefined,
+      onRetry: (error, attempt, delay) => {
+        core.warning(`Request failed (${error.message}); retry ${attempt} in ${delay / 1000}s`);
+      },
+    };
+
+    checkModeInputs(mode, {
+      run: command,
+      config: configInput,
+      configFile,
+      profiles: profilesInput,
+      oidc: core.getInput('oidc'),
+      outputFile,
+    }).forEach((message) => core.warning(message));
+
+    // A single config is treated as one unnamed profile; every config is checked before downloading
+    let profiles = [];
+    if (mode !== 'setup') {
+      profiles = profilesInput
+        ? parseProfiles(profilesInput)
+        : [{ name: 'default', config: configInput, configFile, prefix: '' }];
     }
-    
-    let os = platform === 'darwin' ? 'Darwin' : 'Linux';
-    
-    // Normalize architecture
-    let architecture = arch;
-    if (architecture === 'x64') {
-      architecture = 'amd64';
-    } else if (architecture === 'arm64') {
-      architecture = 'arm64';
+    const multipleProfiles = profiles.length > 1;
+    let configErrorCount = 0;
+    for (const profile of profiles) {
+      const { config, errorCount } = readProfileConfig(profile, profilesInput ? `profile ${profile.name}` : 'config input');
+      profile.config = config;
+      configErrorCount += errorCount;
     }
-    
-    // Build download URL from GitHub releases
-    // Normalize version (remove 'v' prefix if present, add it back for TAG)
-    const normalizedVersion = version.startsWith('v') ? version : `v${version}`;
-    const versionWithoutV = version.startsWith('v') ? version.slice(1) : version;
-    const osLower = os.toLowerCase();
-    const archLower = architecture.toLowerCase();
-    core.info(`Detected platform: ${osLower}-${archLower}`);
-    const downloadUrl = `https://github.com/dirathea/sstart/releases/download/${normalizedVersion}/sstart-${versionWithoutV}-${osLower}-${archLower}.tar.gz`;
-
-    // Download binary archive
-    const binaryName = 'sstart';
-    const archivePath = path.join(process.cwd(), `sstart-${versionWithoutV}-${osLower}-${archLower}.tar.gz`);
-    const binaryPath = path.join(process.cwd(), binaryName);
-    
-    core.info(`Downloading sstart ${normalizedVersion} from: ${downloadUrl}`);
-    
-    try {
-      await downloadFile(downloadUrl, archivePath);
-    } catch (error) {
-      core.setFailed(`Could not download sstart binary: ${error.message}`);
+    if (configErrorCount > 0) {
+      core.setFailed(`The sstart config is invalid (${configErrorCount} error(s))`);
       return;
     }
 
-    // Extract the tar.gz archive
-    core.info('Extracting archive...');
-    try {
-      await exec.exec('tar', ['-xzf', archivePath, '--strip-components=1', '-C', process.cwd()]);
-      // Clean up the archive
-      fs.unlinkSync(archivePath);
-    } catch (error) {
-      core.setFailed(`Could not extract sstart binary: ${error.message}`);
+    // Validate mode compares the key names it finds with a list committed to the repository
+    const baseline = mode === 'validate' && baselineFile ? parseBaseline(fs.readFileSync(baselineFile, 'utf8')) : null;
+
+    if (verifySignature && !pinnedSha256 && !signaturePublicKey) {
+      core.setFailed('verify-signature requires the signature-public-key input');
       return;
     }
 
-    // Make binary executable
-    await exec.exec('chmod', ['+x', binaryPath]);
+    // Determine platform and the matching release asset naming
+    const platformInfo = getPlatformInfo(process.platform, process.arch);
+    const { binaryName } = platformInfo;
+    core.info(`Detected platform: ${platformInfo.os}-${platformInfo.arch}`);
 
-    // Add to PATH
-    core.addPath(process.cwd());
-    core.info(`Added ${process.cwd()} to PATH`);
-
-    // Write config to .sstart.yml
-    const configPath = path.join(process.cwd(), '.sstart.yml');
-    fs.writeFileSync(configPath, config, 'utf8');
-    core.info('Created .sstart.yml configuration file');
-
-    // Run sstart env and capture output
-    core.info('Running sstart env...');
-    let output = '';
-    let errorOutput = '';
-    
-    const exitCode = await exec.exec(binaryPath, ['env', '--format', 'json'], {
-      cwd: process.cwd(),
-      silent: true, // Prevent output from being logged
-      listeners: {
-        stdout: (data) => {
-          output += data.toString();
-        },
-        stderr: (data) => {
-          errorOutput += data.toString();
-        }
+    // Download, extract and configure in a scratch directory outside the workspace
+    const tempRoot = process.env.RUNNER_TEMP || tmpdir();
+    workDir = fs.mkdtempSync(path.join(tempRoot, 'sstart-'));
+    core.saveState('workDir', workDir);
+
+    // Phase durations in milliseconds and install details for the job summary
+    const timings = {};
+    let version = '';
+    let cacheHit = false;
+
+    let sourceBinaryPath;
+    if (binaryPathInput) {
+      // Use a preinstalled binary and skip version resolution and the download entirely
+      sourceBinaryPath = path.resolve(binaryPathInput);
+      if (!fs.existsSync(sourceBinaryPath)) {
+        core.setFailed(`binary-path does not exist: ${sourceBinaryPath}`);
+        return;
       }
-    });
+      core.info(`Using existing sstart binary at ${sourceBinaryPath}; skipping download`);
+      core.setOutput('cache-hit', 'false');
+    } else {
+      // Resolve 'latest' and semver ranges against the sstart releases list
+      version = await resolveVersion(versionInput, {
+        token: getReleasesToken(token, process.env.GITHUB_SERVER_URL),
+        fetchTags: (releasesToken) => fetchReleaseTags(releasesToken, downloadOptions),
+        warn: core.warning,
+      });
+      if (version !== versionInput.replace(/^v/, '')) {
+        core.info(`Resolved sstart version ${versionInput} to ${version}`);
+      }
+      core.setOutput('version', version);
 
-    if (exitCode !== 0) {
-      core.setFailed(`sstart env exited with code ${exitCode}`);
-      if (errorOutput) {
-        core.error(`Error output: ${errorOutput}`);
+      let binaryDir;
+      try {
+        let downloadTimings;
+        ({ binaryDir, cacheHit, timings: downloadTimings } = await downloadSstart({
+          version,
+          platformInfo,
+          workDir,
+          useCache,
+          downloadUrlTemplate,
+          pinnedSha256,
+          signaturePublicKey: verifySignature ? signaturePublicKey : '',
+          downloadOptions,
+        }));
+        Object.assign(timings, downloadTimings);
+      } catch (error) {
+        core.setFailed(error.message);
+        return;
       }
+      sourceBinaryPath = path.join(binaryDir, binaryName);
+    }
+
+    // Install the binary on its own so that only sstart lands on PATH
+    const { installDir, binaryPath, installedBinary } = installBinary(sourceBinaryPath, {
+      binaryName,
+      installDir: installDirInput,
+      useCache,
+      fromBinaryPath: Boolean(binaryPathInput),
+      tempRoot,
+    });
+    if (installedBinary) {
+      core.saveState('installedBinary', installedBinary);
+    }
+
+    // Add to PATH
+    core.addPath(installDir);
+    core.info(`Added ${installDir} to PATH`);
+    core.setOutput('sstart-path', binaryPath);
+    if (version) {
+      core.setOutput('sstart-version', version);
+    }
+
+    if (mode === 'setup') {
+      core.info('Setup mode: sstart is installed; skipping sstart env');
       return;
     }
 
-    // Parse output and set GitHub environment variables
-    if (!output.trim()) {
-      core.warning('sstart env produced no output');
+    // Request the ID token just before sstart runs, since it is short-lived; the token and
+    // credential files live in the scratch directory and are removed with it
+    if (oidcProvider) {
+      core.info(`Requesting a GitHub OIDC token for audience ${oidcOptions.audience}...`);
+      const idToken = await requestIdToken(oidcOptions.audience, { requestOptions: downloadOptions });
+      core.setSecret(idToken);
+      knownSecrets.push(idToken);
+      const oidcEnv = writeOidcCredentials(oidcProvider, idToken, path.join(workDir, 'oidc'), oidcOptions);
+      Object.assign(sstartEnv, oidcEnv);
+      core.info(`Configured ${oidcProvider} OIDC credentials for sstart: ${Object.keys(oidcEnv).join(', ')}`);
+    }
+
+    // Run sstart env once per profile, each with its own .sstart.yml in the scratch directory
+    const results = [];
+    for (const profile of profiles) {
+      const forProfile = multipleProfiles ? ` for profile ${profile.name}` : '';
+      const profileDir = path.join(workDir, `profile-${profile.name}`);
+      fs.mkdirSync(profileDir);
+      fs.writeFileSync(path.join(profileDir, '.sstart.yml'), profile.config, { encoding: 'utf8', mode: 0o600 });
+      core.info(`Created .sstart.yml configuration file${forProfile}`);
+
+      core.info(`Running sstart env${forProfile}...`);
+      const envStarted = Date.now();
+      const { exitCode, output, errorOutput, timedOut } = await runSstartEnv(binaryPath, profileDir, sstartEnv, envRunOptions);
+      timings[`sstart env${forProfile}`] = Date.now() - envStarted;
+      if (timedOut || exitCode !== 0) {
+        const failureClass = reportStderr(errorOutput, { failed: true, secrets: knownSecrets, forProfile });
+        const reason = failureClass ? `: ${failureClass.title}. ${failureClass.hint}` : '';
+        const outcome = timedOut ? `timed out after ${envRunOptions.timeout / 1000}s and was stopped` : `exited with code ${exitCode}`;
+        core.setFailed(`sstart env ${outcome}${forProfile}${reason}`);
+        return;
+      }
+
+      const profileVars = output.trim() ? parseEnvOutput(output) : {};
+      Object.values(profileVars)
+        .filter((value) => typeof value === 'string')
+        .forEach((value) => knownSecrets.push(...getMaskValues(value)));
+      reportStderr(errorOutput, { failed: false, secrets: knownSecrets, forProfile });
+
+      if (!output.trim()) {
+        core.warning(`sstart env produced no output${forProfile}`);
+        continue;
+      }
+      results.push({ name: profile.name, prefix: profile.prefix, envVars: profileVars });
+    }
+
+    // Nothing to export; a run command still runs and validate mode still compares with the baseline
+    if (results.length === 0 && mode === 'env') {
+      if (failOnRequirementErrors(checkRequirements({}, requirements))) {
+        return;
+      }
+      core.setOutput('count', '0');
+      core.setOutput('keys', '[]');
       return;
     }
 
     core.info('Parsing environment variables from sstart env output...');
-    const envVars = parseEnvOutput(output);
+    // Later profiles override earlier ones; filters and renames then apply to the merged keys
+    const { envVars: merged, sources, overrides } = mergeProfiles(results);
+    overrides.forEach(({ key, profile, previous }) => core.info(`${key} from profile ${profile} overrides profile ${previous}`));
+    const { envVars: transformed, renamed } = transformKeys(merged, keyOptions);
+    // With run, secrets go to the command's process only: no GITHUB_ENV entries and no outputs
+    const { env: exportToEnv, outputs: exportToOutputs } = getExportTargets(mode, exportMode);
+
+    for (const [key, originalKey] of Object.entries(renamed)) {
+      if (key !== originalKey) {
+        core.info(`Renamed ${originalKey} to ${key}`);
+      }
+    }
+
+    // Reject names that would corrupt GITHUB_ENV or hijack the runner, and normalize values to strings
+    const { envVars, errors, skipped } = validateVariables(transformed, validationOptions);
+    skipped.forEach(({ key, message }) => core.warning(`Skipped ${key}: ${message}`));
+    if (errors.length > 0) {
+      errors.forEach(({ key, message }) => core.error(`${key}: ${message}`));
+      core.setFailed(`sstart returned ${errors.length} invalid variable(s): ${errors.map(({ key }) => key).join(', ')}`);
+      return;
+    }
+
+    // Fail before exporting anything when expected secrets are missing or malformed
+    if (failOnRequirementErrors(checkRequirements(envVars, requirements))) {
+      return;
+    }
+
+    if (multipleProfiles) {
+      Object.keys(envVars).forEach((key) => core.info(`${key} supplied by profile ${sources[renamed[key]]}`));
+    }
+
+    // Refuse or flag keys that would clobber variables already in the job environment
+    const collisions = exportToEnv ? findCollisions(envVars) : [];
+    if (collisions.length > 0) {
+      const message = `Keys already set in the environment would be overwritten: ${collisions.join(', ')}`;
+      if (onCollision === 'fail') {
+        core.setFailed(message);
+        return;
+      }
+      core.warning(message);
+    }
+
+    // A secret output named like one of the action's own outputs would be overwritten by it
+    const outputClashes = exportToOutputs ? findOutputClashes(envVars) : [];
+    if (outputClashes.length > 0) {
+      core.setFailed(`Keys clash with the action's own outputs and cannot be set as step outputs: ${outputClashes.join(', ')}. Rename them with rename or prefix`);
+      return;
+    }
     
-    // Set GitHub environment variables one by one
+    // Set GitHub environment variables and/or step outputs one by one
     let count = 0;
+    let commandExitCode = 0;
+    let keyDiff = null;
     for (const [key, value] of Object.entries(envVars)) {
-      core.setSecret(value);
-      core.exportVariable(key, value);
+      if (!matchesAny(key, nonSecretKeys)) {
+        getMaskValues(value, { minLength: maskMinLength }).forEach((mask) => core.setSecret(mask));
+      }
+      if (exportToEnv) {
+        core.exportVariable(key, value);
+      }
+      if (exportToOutputs) {
+        core.setOutput(key, value);
+      }
       count++;
     }
     
-    core.info(`Successfully set ${count} environment variable(s)`);
+    // Write the variables to a file for tools that read env files (readable by the runner user only)
+    if (outputFile) {
+      const outputPath = path.resolve(outputFile);
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      // Replace any existing file: mode only applies on creation, and 'wx' refuses to reuse one
+      fs.rmSync(outputPath, { force: true });
+      fs.writeFileSync(outputPath, formatVariables(envVars, outputFormat), { encoding: 'utf8', mode: 0o600, flag: 'wx' });
+      core.setOutput('output-file', outputPath);
+      core.info(`Wrote ${count} variable(s) to ${outputPath} (${outputFormat})`);
+      if (cleanupOutputFile) {
+        core.saveState('outputFile', outputPath);
+      }
+    }
+
+    if (exportToEnv) {
+      core.saveState('exportedKeys', JSON.stringify(Object.keys(envVars)));
+    }
+    core.setOutput('count', String(count));
+    core.setOutput('keys', JSON.stringify(Object.keys(envVars)));
+    if (mode === 'run') {
+      core.info(`Running command with ${count} variable(s) from sstart...`);
+      const commandStarted = Date.now();
+      commandExitCode = await runCommand(command, shell, envVars, workDir);
+      timings.command = Date.now() - commandStarted;
+      core.setOutput('exit-code', String(commandExitCode));
+    } else if (mode === 'validate') {
+      // Values were fetched and masked but go nowhere; only key names are reported
+      core.info(`Config is valid; sstart would provide ${count} key(s): ${Object.keys(envVars).join(', ') || '(none)'}`);
+      if (baseline) {
+        keyDiff = diffKeys(baseline, Object.keys(envVars));
+        core.setOutput('added-keys', JSON.stringify(keyDiff.added));
+        core.setOutput('removed-keys', JSON.stringify(keyDiff.removed));
+        core.info(`Key names compared with ${baselineFile}:\n${formatKeyDiff(keyDiff)}`);
+      }
+    } else {
+      const destination = { env: 'environment variable(s)', outputs: 'step output(s)', both: 'environment variable(s) and step output(s)' }[exportMode];
+      core.info(`Successfully set ${count} ${destination}`);
+    }
+
+    if (writeSummary) {
+      const summary = core.summary
+        .addHeading(mode === 'validate' ? 'sstart config validation' : 'sstart secrets', 3)
+        .addTable([
+          [{ data: 'sstart', header: true }, { data: 'Value', header: true }],
+          ['Version', version || 'unknown'],
+          ['Install', describeInstall({ binaryPath: binaryPathInput && sourceBinaryPath, cacheHit, useCache })],
+          ...Object.entries(timings).map(([phase, ms]) => [`Time: ${phase}`, formatDuration(ms)]),
+        ])
+        .addTable([
+          ['Key', 'Profile', 'Length', 'Overrides'].map((data) => ({ data, header: true })),
+          ...buildKeyRows(envVars, {
+            sources,
+            renamed,
+            profileOverrides: Object.fromEntries(overrides.map(({ key, previous }) => [key, previous])),
+            collisions,
+          }),
+        ]);
+      if (keyDiff) {
+        summary
+          .addHeading(`Key names compared with ${baselineFile}`, 4)
+          .addCodeBlock(formatKeyDiff(keyDiff) || '(no keys)', 'diff');
+      }
+      await summary.write();
+    }
+
+    if (keyDiff && (keyDiff.added.length > 0 || keyDiff.removed.length > 0)) {
+      const message = `Key names differ from ${baselineFile}: ${keyDiff.added.length} added, ${keyDiff.removed.length} removed`;
+      if (onBaselineMismatch === 'fail') {
+        core.setFailed(message);
+      } else {
+        core.warning(message);
+      }
+    }
+
+    if (commandExitCode !== 0) {
+      core.setFailed(`Command exited with code ${commandExitCode}`);
+    }
   } catch (error) {
     core.setFailed(error.message);
+  } finally {
+    // Remove the archive, extracted files and generated config
+    if (workDir) {
+      fs.rmSync(workDir, { recursive: true, force: true });
+      core.info('Removed temporary sstart files and .sstart.yml');
+    }
   }
 }
 
-async function downloadFile(url, destPath) {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
-    
-    protocol.get(url, (res) => {
-      if (res.statusCode === 301 || res.statusCode === 302 || res.statusCode === 307 || res.statusCode === 308) {
-        // Handle redirect
-        return downloadFile(res.headers.location, destPath)
-          .then(resolve)
-          .catch(reject);
+/**
+ * Download, verify and extract sstart, reusing the runner tool cache when possible
+ * Resolves with the directory holding the binary and whether it came from the cache.
+ */
+async function downloadSstart({
+  version,
+  platformInfo,
+  workDir,
+  useCache,
+  downloadUrlTemplate,
+  pinnedSha256,
+  signaturePublicKey,
+  downloadOptions,
+}) {
+  const { binaryName } = platformInfo;
+  const normalizedVersion = version.startsWith('v') ? version : `v${version}`;
+  const versionWithoutV = version.startsWith('v') ? version.slice(1) : version;
+  const cacheArch = `${platformInfo.os}-${platformInfo.arch}`;
+
+  // Look up the binary in the runner tool cache before downloading
+  const cachedDir = useCache ? tc.find('sstart', versionWithoutV, cacheArch) : '';
+  core.setOutput('cache-hit', cachedDir ? 'true' : 'false');
+  if (cachedDir) {
+    core.info(`Cache hit: found sstart ${normalizedVersion} (${cacheArch}) in tool cache at ${cachedDir}`);
+    return { binaryDir: cachedDir, cacheHit: true, timings: {} };
+  }
+  if (useCache) {
+    core.info(`Cache miss: sstart ${normalizedVersion} (${cacheArch}) is not in the tool cache`);
+  }
+
+  // Download the first asset format published for this platform (Windows: .zip, then .exe)
+  const timings = {};
+  const downloadStarted = Date.now();
+  const candidates = getDownloadCandidates(version, platformInfo, downloadUrlTemplate);
+  let downloaded;
+  for (const [index, candidate] of candidates.entries()) {
+    core.info(`Downloading sstart ${normalizedVersion} from: ${candidate.url}`);
+
+    try {
+      await downloadFile(candidate.url, path.join(workDir, candidate.assetName), downloadOptions);
+      downloaded = candidate;
+      break;
+    } catch (error) {
+      if (error.statusCode === 404 && index < candidates.length - 1) {
+        core.info(`${candidate.assetName} is not published, trying the next asset format`);
+        continue;
       }
+      throw new Error(`Could not download sstart binary: ${error.message}`);
+    }
+  }
+  const archiveName = downloaded.assetName;
+  const archivePath = path.join(workDir, archiveName);
+  const extractDir = path.join(workDir, 'extract');
 
-      if (res.statusCode !== 200) {
-        reject(new Error(`Download failed with status ${res.statusCode}`));
-        return;
+  // Verify the archive against the pinned digest or the checksum manifest next to it
+  core.info('Verifying archive checksum...');
+  try {
+    const expectedSha256 = pinnedSha256
+      ? normalizeSha256(pinnedSha256)
+      : await fetchReleaseChecksum(new URL(CHECKSUM_MANIFEST, downloaded.url).href, archiveName, signaturePublicKey, downloadOptions);
+    const actualSha256 = await hashFile(archivePath);
+    verifyChecksum(actualSha256, expectedSha256, archiveName);
+    core.info(`Checksum verified (sha256: ${actualSha256})`);
+  } catch (error) {
+    fs.unlinkSync(archivePath);
+    throw new Error(`Could not verify sstart archive: ${error.message}`);
+  }
+  timings.download = Date.now() - downloadStarted;
+
+  // Extract the archive (a bare .exe asset is used as-is)
+  core.info('Extracting archive...');
+  const extractStarted = Date.now();
+  let extractedBinaryPath;
+  try {
+    fs.mkdirSync(extractDir);
+    if (archiveName.endsWith('.zip')) {
+      await tc.extractZip(archivePath, extractDir);
+    } else if (archiveName.endsWith('.exe')) {
+      fs.copyFileSync(archivePath, path.join(extractDir, binaryName));
+    } else {
+      await extractTarGz(archivePath, extractDir);
+    }
+    // Clean up the archive and locate the binary wherever the archive layout put it
+    fs.unlinkSync(archivePath);
+    extractedBinaryPath = findBinary(extractDir, binaryName);
+    if (!extractedBinaryPath) {
+      throw new Error(`${binaryName} not found in ${archiveName}`);
+    }
+  } catch (error) {
+    throw new Error(`Could not extract sstart binary: ${error.message}`);
+  }
+
+  // Make binary executable (not needed on Windows)
+  if (!platformInfo.isWindows) {
+    await exec.exec('chmod', ['+x', extractedBinaryPath]);
+  }
+  timings.extract = Date.now() - extractStarted;
+
+  // Store the extracted binary so later runs on this runner can skip the download
+  if (useCache) {
+    const binaryDir = await tc.cacheFile(extractedBinaryPath, binaryName, 'sstart', versionWithoutV, cacheArch);
+    core.info(`Cached sstart ${normalizedVersion} (${cacheArch}) at ${binaryDir}`);
+    return { binaryDir, cacheHit: false, timings };
+  }
+  return { binaryDir: path.dirname(extractedBinaryPath), cacheHit: false, timings };
+}
+
+/**
+ * Fetch the release checksum manifest and return the expected digest for an asset
+ * When a public key is given, the manifest's detached signature is verified first
+ */
+async function fetchReleaseChecksum(manifestUrl, assetName, signaturePublicKey, downloadOptions) {
+  const tempDir = fs.mkdtempSync(path.join(process.env.RUNNER_TEMP || tmpdir(), 'sstart-checksums-'));
+  const manifestPath = path.join(tempDir, CHECKSUM_MANIFEST);
+
+  try {
+    try {
+      await downloadFile(manifestUrl, manifestPath, downloadOptions);
+    } catch (error) {
+      throw new Error(`Could not download checksum manifest ${CHECKSUM_MANIFEST}: ${error.message}`);
+    }
+    const manifest = fs.readFileSync(manifestPath);
+
+    if (signaturePublicKey) {
+      const signaturePath = `${manifestPath}.sig`;
+      try {
+        await downloadFile(`${manifestUrl}.sig`, signaturePath, downloadOptions);
+      } catch (error) {
+        throw new Error(`Could not download checksum manifest signature ${CHECKSUM_MANIFEST}.sig: ${error.message}`);
       }
+      verifyManifestSignature(manifest, fs.readFileSync(signaturePath), signaturePublicKey);
+      core.info('Checksum manifest signature verified');
+    }
 
-      const fileStream = fs.createWriteStream(destPath);
-      res.pipe(fileStream);
+    const checksums = parseChecksumManifest(manifest.toString('utf8'));
+    if (!checksums[assetName]) {
+      throw new Error(`No checksum for ${assetName} found in ${CHECKSUM_MANIFEST}`);
+    }
+    return checksums[assetName];
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
 
-      fileStream.on('finish', () => {
-        fileStream.close();
-        resolve();
-      });
+/**
+ * Post step: scrub everything the main step left behind
+ * The scratch directory (archive and .sstart.yml, if the main step did not get to it), the
+ * installed binary copy, generated env files and exported variables are cleaned up as
+ * recorded in the step state, and the job summary reports what was done.
+ */
+async function post() {
+  try {
+    const cleaned = cleanup(core.getState, { exportVariable: core.exportVariable, info: core.info });
 
-      fileStream.on('error', (error) => {
-        fs.unlink(destPath, () => {}); // Delete the file on error
-        reject(error);
-      });
-    }).on('error', (error) => {
-      reject(error);
-    });
-  });
+    if (cleaned.length > 0) {
+      await core.summary
+        .addHeading('sstart cleanup', 3)
+        .addList(cleaned)
+        .write();
+    } else {
+      core.info('Nothing to clean up');
+    }
+  } catch (error) {
+    core.warning(`Cleanup failed: ${error.message}`);
+  }
 }
 
-run();
+// The same entry point runs as the main step and as the post step
+if (core.getState('isPost')) {
+  post();
+} else {
+  core.saveState('isPost', 'true');
+  run();
+}
 
@@ -0,0 +1,32 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Put the sstart binary in the directory that is added to PATH
+ * sourceBinaryPath is the binary-path input (fromBinaryPath) or the downloaded binary, which
+ * lives in the tool cache when useCache is on. The binary is used where it is unless
+ * installDir is set, or a download is not cached; then it is copied into installDir or a
+ * new sstart-bin-* directory under tempRoot, so that only sstart lands on PATH.
+ * Returns { installDir, binaryPath, installedBinary }, where installedBinary is the copy
+ * (or temporary directory) the post step should remove, or '' when nothing was copied.
+ */
+export function installBinary(sourceBinaryPath, { binaryName, installDir: installDirInput, useCache, fromBinaryPath, tempRoot }) {
+  if (!installDirInput && (useCache || fromBinaryPath)) {
+    return { installDir: path.dirname(sourceBinaryPath), binaryPath: sourceBinaryPath, installedBinary: '' };
+  }
+
+  const installDir = installDirInput
+    ? path.resolve(installDirInput)
+    : fs.mkdtempSync(path.join(tempRoot, 'sstart-bin-'));
+  const binaryPath = path.join(installDir, binaryName);
+  if (binaryPath === path.resolve(sourceBinaryPath)) {
+    // install-dir already holds this binary: nothing to copy, and nothing of ours to remove
+    return { installDir, binaryPath, installedBinary: '' };
+  }
+  fs.mkdirSync(installDir, { recursive: true });
+  fs.copyFileSync(sourceBinaryPath, binaryPath);
+  fs.chmodSync(binaryPath, 0o755);
+
+  // Only this copy is removed by the post step; tool cache entries and binary-path are left alone
+  return { installDir, binaryPath, installedBinary: installDirInput ? binaryPath : installDir };
+}
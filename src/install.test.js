@@ -0,0 +1,62 @@
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, statSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { installBinary } from './install.js';
+
+describe('Binary installation', () => {
+  let tempDir;
+  let source;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'sstart-install-test-'));
+    mkdirSync(join(tempDir, 'source'));
+    source = join(tempDir, 'source', 'sstart');
+    writeFileSync(source, 'binary');
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const options = (overrides) => ({ binaryName: 'sstart', installDir: '', useCache: true, fromBinaryPath: false, tempRoot: tempDir, ...overrides });
+
+  it('should use a tool cache binary in place', () => {
+    expect(installBinary(source, options())).toEqual({ installDir: dirname(source), binaryPath: source, installedBinary: '' });
+  });
+
+  it('should use a binary-path binary in place, even with caching off', () => {
+    expect(installBinary(source, options({ useCache: false, fromBinaryPath: true })))
+      .toEqual({ installDir: dirname(source), binaryPath: source, installedBinary: '' });
+  });
+
+  it('should copy an uncached download into a temporary directory that the post step removes', () => {
+    const result = installBinary(source, options({ useCache: false }));
+
+    expect(dirname(result.installDir)).toBe(tempDir);
+    expect(result.installDir).toMatch(/sstart-bin-/);
+    expect(result.binaryPath).toBe(join(result.installDir, 'sstart'));
+    expect(result.installedBinary).toBe(result.installDir);
+    expect(readFileSync(result.binaryPath, 'utf8')).toBe('binary');
+  });
+
+  it('should copy into install-dir and only mark the copy for removal', () => {
+    const installDir = join(tempDir, 'tools', 'bin');
+
+    for (const fromBinaryPath of [false, true]) {
+      const result = installBinary(source, options({ installDir, fromBinaryPath }));
+
+      expect(result).toEqual({ installDir, binaryPath: join(installDir, 'sstart'), installedBinary: join(installDir, 'sstart') });
+      expect(readFileSync(result.binaryPath, 'utf8')).toBe('binary');
+      if (process.platform !== 'win32') {
+        expect(statSync(result.binaryPath).mode & 0o777).toBe(0o755);
+      }
+    }
+  });
+
+  it('should leave a binary that is already in install-dir alone', () => {
+    const result = installBinary(source, options({ installDir: dirname(source), fromBinaryPath: true }));
+
+    expect(result).toEqual({ installDir: dirname(source), binaryPath: source, installedBinary: '' });
+    expect(readFileSync(source, 'utf8')).toBe('binary');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Split a list input on newlines and commas, dropping blanks
+ */
+export function parseList(value) {
+  return (value || '')
+    .split(/[\n,]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a rename map given as OLD=NEW pairs, one per line or comma separated
+ */
+export function parseRenameMap(value) {
+  const renames = {};
+
+  for (const pair of parseList(value)) {
+    const separator = pair.indexOf('=');
+    const from = pair.slice(0, separator).trim();
+    const to = pair.slice(separator + 1).trim();
+    if (separator <= 0 || !to) {
+      throw new Error(`Invalid rename entry "${pair}": expected OLD=NEW`);
+    }
+    renames[from] = to;
+  }
+
+  return renames;
+}
+
+/**
+ * Convert a glob with * and ? wildcards into an anchored regular expression
+ */
+export function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Check whether a key matches any glob in a list
+ */
+export function matchesAny(key, globs) {
+  return globs.some((glob) => globToRegExp(glob).test(key));
+}
+
+/**
+ * Narrow and reshape the variables returned by sstart
+ * Include/exclude filters and the rename map match the original key names. An explicit
+ * rename wins over strip-prefix, and prefix is added to every key last.
+ * Returns { envVars, renamed } where renamed maps each final key to its original name.
+ */
+export function transformKeys(envVars, { include = [], exclude = [], stripPrefix = '', rename = {}, prefix = '' } = {}) {
+  const result = {};
+  const renamed = {};
+
+  for (const [originalKey, value] of Object.entries(envVars)) {
+    if (include.length > 0 && !matchesAny(originalKey, include)) {
+      continue;
+    }
+    if (matchesAny(originalKey, exclude)) {
+      continue;
+    }
+
+    let key = originalKey;
+    if (Object.prototype.hasOwnProperty.call(rename, originalKey)) {
+      key = rename[originalKey];
+    } else if (stripPrefix && key.startsWith(stripPrefix) && key.length > stripPrefix.length) {
+      key = key.slice(stripPrefix.length);
+    }
+    key = `${prefix}${key}`;
+
+    if (Object.prototype.hasOwnProperty.call(result, key)) {
+      throw new Error(`Keys ${renamed[key]} and ${originalKey} both map to ${key}`);
+    }
+    result[key] = value;
+    renamed[key] = originalKey;
+  }
+
+  return { envVars: result, renamed };
+}
+
+/**
+ * List final keys that would overwrite variables already set in the environment
+ */
+export function findCollisions(envVars, env = process.env) {
+  return Object.keys(envVars).filter((key) => Object.prototype.hasOwnProperty.call(env, key));
+}
+
+// Outputs the action sets itself, as declared under outputs: in action.yml
+export const RESERVED_OUTPUT_NAMES = [
+  'version',
+  'cache-hit',
+  'count',
+  'keys',
+  'output-file',
+  'sstart-path',
+  'sstart-version',
+  'added-keys',
+  'removed-keys',
+  'exit-code',
+];
+
+/**
+ * List keys that would be set as step outputs under a name the action already uses
+ * Output names are matched case-insensitively, as in ${{ steps.<id>.outputs.<name> }}.
+ */
+export function findOutputClashes(envVars) {
+  return Object.keys(envVars).filter((key) => RESERVED_OUTPUT_NAMES.includes(key.toLowerCase()));
+}
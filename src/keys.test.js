@@ -0,0 +1,117 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { parse } from 'yaml';
+import {
+  parseList,
+  parseRenameMap,
+  globToRegExp,
+  matchesAny,
+  transformKeys,
+  findCollisions,
+  RESERVED_OUTPUT_NAMES,
+  findOutputClashes,
+} from './keys.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+describe('Key filtering and renaming', () => {
+  describe('parseList', () => {
+    it('should split on commas and newlines', () => {
+      expect(parseList('A_*, B\nC_?\n\n')).toEqual(['A_*', 'B', 'C_?']);
+      expect(parseList('')).toEqual([]);
+    });
+  });
+
+  describe('parseRenameMap', () => {
+    it('should parse OLD=NEW pairs', () => {
+      expect(parseRenameMap('DB_URL=DATABASE_URL\nAPI_KEY = SERVICE_API_KEY')).toEqual({
+        DB_URL: 'DATABASE_URL',
+        API_KEY: 'SERVICE_API_KEY',
+      });
+    });
+
+    it('should reject malformed entries', () => {
+      expect(() => parseRenameMap('DB_URL')).toThrow('Invalid rename entry "DB_URL"');
+      expect(() => parseRenameMap('=NEW')).toThrow('Invalid rename entry');
+      expect(() => parseRenameMap('OLD=')).toThrow('Invalid rename entry');
+    });
+  });
+
+  describe('globToRegExp', () => {
+    it('should support * and ? wildcards', () => {
+      expect(globToRegExp('AWS_*').test('AWS_REGION')).toBe(true);
+      expect(globToRegExp('KEY_?').test('KEY_1')).toBe(true);
+      expect(globToRegExp('KEY_?').test('KEY_10')).toBe(false);
+    });
+
+    it('should treat other characters literally', () => {
+      expect(globToRegExp('A.B').test('AXB')).toBe(false);
+      expect(globToRegExp('A.B').test('A.B')).toBe(true);
+    });
+
+    it('should match whole keys only', () => {
+      expect(matchesAny('MY_AWS_KEY', ['AWS_*'])).toBe(false);
+    });
+  });
+
+  describe('transformKeys', () => {
+    const envVars = {
+      PROD_DB_URL: 'postgres://db',
+      PROD_API_KEY: 'key',
+      PROD_DEBUG: 'false',
+      OTHER: 'x',
+    };
+
+    it('should return keys unchanged without options', () => {
+      expect(transformKeys(envVars).envVars).toEqual(envVars);
+    });
+
+    it('should apply include and exclude globs', () => {
+      const { envVars: result } = transformKeys(envVars, { include: ['PROD_*'], exclude: ['*_DEBUG'] });
+      expect(Object.keys(result)).toEqual(['PROD_DB_URL', 'PROD_API_KEY']);
+    });
+
+    it('should strip prefixes, rename and add prefixes', () => {
+      const { envVars: result, renamed } = transformKeys(envVars, {
+        include: ['PROD_*'],
+        stripPrefix: 'PROD_',
+        rename: { PROD_DB_URL: 'DATABASE_URL' },
+        prefix: 'SVC_',
+      });
+
+      expect(result).toEqual({
+        SVC_DATABASE_URL: 'postgres://db',
+        SVC_API_KEY: 'key',
+        SVC_DEBUG: 'false',
+      });
+      expect(renamed.SVC_DATABASE_URL).toBe('PROD_DB_URL');
+    });
+
+    it('should not strip a prefix that is the whole key', () => {
+      expect(transformKeys({ PROD_: 'x' }, { stripPrefix: 'PROD_' }).envVars).toEqual({ PROD_: 'x' });
+    });
+
+    it('should fail when two keys map to the same name', () => {
+      expect(() => transformKeys({ PROD_A: '1', A: '2' }, { stripPrefix: 'PROD_' }))
+        .toThrow('Keys PROD_A and A both map to A');
+    });
+  });
+
+  describe('findCollisions', () => {
+    it('should list keys already present in the environment', () => {
+      expect(findCollisions({ PATH_X: '1', HOME: '2' }, { HOME: '/root' })).toEqual(['HOME']);
+    });
+  });
+
+  describe('findOutputClashes', () => {
+    it('should list keys named like the action\'s own outputs, ignoring case', () => {
+      expect(findOutputClashes({ count: 's3cret', KEYS: 'x', DB_URL: 'y', VERSION_TAG: 'z' })).toEqual(['count', 'KEYS']);
+    });
+
+    it('should cover every output declared in action.yml', () => {
+      const action = parse(readFileSync(join(__dirname, '..', 'action.yml'), 'utf8'));
+      expect([...RESERVED_OUTPUT_NAMES].sort()).toEqual(Object.keys(action.outputs).sort());
+    });
+  });
+});
@@ -0,0 +1,39 @@
+export const DEFAULT_MASK_MIN_LENGTH = 4;
+
+// Values that appear all over logs and carry no secret on their own
+const TRIVIAL_VALUES = ['true', 'false', 'yes', 'no', 'on', 'off', 'null'];
+
+/**
+ * Check whether a value is too short or too common to be worth masking
+ */
+export function isTrivialValue(value, minLength = DEFAULT_MASK_MIN_LENGTH) {
+  const trimmed = value.trim();
+  return trimmed.length < minLength || TRIVIAL_VALUES.includes(trimmed.toLowerCase());
+}
+
+/**
+ * List every string that should be registered as a mask for a secret value
+ * Besides the value itself this covers each line of a multiline value (the runner masks
+ * log lines one at a time) and the base64, base64url and URL-encoded forms of the value.
+ * Trivial values and lines yield nothing.
+ */
+export function getMaskValues(value, { minLength = DEFAULT_MASK_MIN_LENGTH } = {}) {
+  if (isTrivialValue(value, minLength)) {
+    return [];
+  }
+
+  const masks = new Set([value]);
+
+  for (const line of value.split(/\r?\n/)) {
+    if (!isTrivialValue(line, minLength)) {
+      masks.add(line.trim());
+    }
+  }
+
+  const bytes = Buffer.from(value, 'utf8');
+  masks.add(bytes.toString('base64'));
+  masks.add(bytes.toString('base64url'));
+  masks.add(encodeURIComponent(value));
+
+  return [...masks];
+}
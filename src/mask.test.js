@@ -0,0 +1,53 @@
+import { isTrivialValue, getMaskValues } from './mask.js';
+
+describe('Secret masking', () => {
+  describe('isTrivialValue', () => {
+    it('should treat empty, short and common values as trivial', () => {
+      expect(isTrivialValue('')).toBe(true);
+      expect(isTrivialValue('1')).toBe(true);
+      expect(isTrivialValue('TRUE')).toBe(true);
+      expect(isTrivialValue('null')).toBe(true);
+    });
+
+    it('should honour a custom minimum length', () => {
+      expect(isTrivialValue('abcd')).toBe(false);
+      expect(isTrivialValue('abcd', 8)).toBe(true);
+    });
+  });
+
+  describe('getMaskValues', () => {
+    it('should mask the value and its encoded forms', () => {
+      const masks = getMaskValues('p@ss/word+1');
+
+      expect(masks).toContain('p@ss/word+1');
+      expect(masks).toContain(Buffer.from('p@ss/word+1').toString('base64'));
+      expect(masks).toContain(Buffer.from('p@ss/word+1').toString('base64url'));
+      expect(masks).toContain('p%40ss%2Fword%2B1');
+    });
+
+    it('should not repeat identical forms', () => {
+      const masks = getMaskValues('abcdef');
+
+      expect(new Set(masks).size).toBe(masks.length);
+    });
+
+    it('should mask every non-trivial line of a multiline value', () => {
+      const pem = '-----BEGIN KEY-----\r\nMIIBOgIBAAJBAKj34\nab\n-----END KEY-----\n';
+      const masks = getMaskValues(pem);
+
+      expect(masks).toContain(pem);
+      expect(masks).toContain('-----BEGIN KEY-----');
+      expect(masks).toContain('MIIBOgIBAAJBAKj34');
+      expect(masks).toContain('-----END KEY-----');
+      expect(masks).not.toContain('ab');
+      expect(masks).not.toContain('');
+    });
+
+    it('should return nothing for trivial values', () => {
+      expect(getMaskValues('')).toEqual([]);
+      expect(getMaskValues('1')).toEqual([]);
+      expect(getMaskValues('false')).toEqual([]);
+      expect(getMaskValues('12345', { minLength: 6 })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+export const MODES = ['setup', 'env', 'run', 'validate'];
+
+/**
+ * Resolve the mode input, defaulting to run when a command is given and env otherwise
+ */
+export function resolveMode(modeInput, command) {
+  const mode = (modeInput || (command ? 'run' : 'env')).toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`Input mode must be one of ${MODES.join(', ')}, got "${mode}"`);
+  }
+  return mode;
+}
+
+/**
+ * Check that the other inputs fit the mode
+ * inputs holds the raw run, config, configFile, profiles, oidc and outputFile values.
+ * Throws for combinations that cannot work; returns warnings for inputs the mode ignores.
+ */
+export function checkModeInputs(mode, { run, config, configFile, profiles, oidc, outputFile }) {
+  if (Boolean(run) !== (mode === 'run')) {
+    throw new Error(run ? `The run input requires mode run, got mode ${mode}` : 'mode run requires the run input');
+  }
+
+  // Setup mode only installs sstart, so no config is needed
+  const configCount = [config, configFile, profiles].filter(Boolean).length;
+  if (mode === 'setup') {
+    return configCount > 0 || oidc ? ['The config, config-file, profiles and oidc inputs are ignored in setup mode'] : [];
+  }
+  if (configCount !== 1) {
+    throw new Error('Set exactly one of the config, config-file and profiles inputs');
+  }
+  if (outputFile && (mode === 'run' || mode === 'validate')) {
+    throw new Error(`output-file cannot be combined with mode ${mode}, which never writes secrets out`);
+  }
+  return [];
+}
+
+/**
+ * Decide where fetched secrets are exported: { env, outputs }
+ * Only env mode exports; run hands secrets to the command's process and validate drops them.
+ */
+export function getExportTargets(mode, exportMode) {
+  return {
+    env: mode === 'env' && (exportMode === 'env' || exportMode === 'both'),
+    outputs: mode === 'env' && (exportMode === 'outputs' || exportMode === 'both'),
+  };
+}
@@ -0,0 +1,62 @@
+import { resolveMode, checkModeInputs, getExportTargets } from './mode.js';
+
+describe('Action modes', () => {
+  describe('resolveMode', () => {
+    it('should default to run with a command and env without one', () => {
+      expect(resolveMode('', 'npm test')).toBe('run');
+      expect(resolveMode('', '')).toBe('env');
+    });
+
+    it('should accept any mode regardless of case', () => {
+      expect(resolveMode('Validate', '')).toBe('validate');
+      expect(resolveMode('setup', '')).toBe('setup');
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => resolveMode('export', '')).toThrow('Input mode must be one of setup, env, run, validate, got "export"');
+    });
+  });
+
+  describe('checkModeInputs', () => {
+    const config = 'providers: []';
+
+    it('should require the run input exactly when the mode is run', () => {
+      expect(() => checkModeInputs('run', { config })).toThrow('mode run requires the run input');
+      expect(() => checkModeInputs('env', { run: 'make', config })).toThrow('The run input requires mode run, got mode env');
+      expect(checkModeInputs('run', { run: 'make', config })).toEqual([]);
+    });
+
+    it('should require exactly one config source outside setup mode', () => {
+      expect(() => checkModeInputs('env', {})).toThrow('Set exactly one of the config, config-file and profiles inputs');
+      expect(() => checkModeInputs('validate', { config, configFile: '.sstart.yml' })).toThrow('Set exactly one');
+      expect(checkModeInputs('env', { profiles: '- name: a' })).toEqual([]);
+    });
+
+    it('should not need a config in setup mode and warn about ignored inputs', () => {
+      expect(checkModeInputs('setup', {})).toEqual([]);
+      expect(checkModeInputs('setup', { config })).toEqual(['The config, config-file, profiles and oidc inputs are ignored in setup mode']);
+      expect(checkModeInputs('setup', { oidc: 'aws' })).toHaveLength(1);
+    });
+
+    it('should refuse output-file in run and validate modes', () => {
+      expect(() => checkModeInputs('run', { run: 'make', config, outputFile: 'app.env' }))
+        .toThrow('output-file cannot be combined with mode run');
+      expect(() => checkModeInputs('validate', { config, outputFile: 'app.env' })).toThrow('mode validate');
+      expect(checkModeInputs('env', { config, outputFile: 'app.env' })).toEqual([]);
+    });
+  });
+
+  describe('getExportTargets', () => {
+    it('should follow export-mode in env mode', () => {
+      expect(getExportTargets('env', 'env')).toEqual({ env: true, outputs: false });
+      expect(getExportTargets('env', 'outputs')).toEqual({ env: false, outputs: true });
+      expect(getExportTargets('env', 'both')).toEqual({ env: true, outputs: true });
+    });
+
+    it('should never export in the other modes', () => {
+      for (const mode of ['setup', 'run', 'validate']) {
+        expect(getExportTargets(mode, 'both')).toEqual({ env: false, outputs: false });
+      }
+    });
+  });
+});
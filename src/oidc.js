@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import { fetchText } from './download.js';
+
+export const OIDC_PROVIDERS = ['aws', 'gcp', 'azure'];
+
+/**
+ * Check the provider-specific inputs and work out the token audience
+ * AWS and Azure use their documented default audiences; GCP's default is derived from the
+ * workload identity provider, matching google-github-actions/auth.
+ */
+export function resolveOidcOptions(provider, options = {}) {
+  const required = {
+    aws: { awsRoleArn: 'aws-role-arn' },
+    gcp: { gcpWorkloadIdentityProvider: 'gcp-workload-identity-provider' },
+    azure: { azureClientId: 'azure-client-id', azureTenantId: 'azure-tenant-id' },
+  }[provider];
+  if (!required) {
+    throw new Error(`Unsupported OIDC provider: ${provider}. Expected one of ${OIDC_PROVIDERS.join(', ')}`);
+  }
+
+  const missing = Object.entries(required).filter(([option]) => !options[option]).map(([, input]) => input);
+  if (missing.length > 0) {
+    throw new Error(`oidc: ${provider} requires the ${missing.join(' and ')} input(s)`);
+  }
+
+  const defaultAudience = {
+    aws: 'sts.amazonaws.com',
+    gcp: `https://iam.googleapis.com/${options.gcpWorkloadIdentityProvider}`,
+    azure: 'api://AzureADTokenExchange',
+  }[provider];
+  return { ...options, audience: options.audience || defaultAudience };
+}
+
+/**
+ * Request a GitHub Actions OIDC ID token for an audience
+ * The runner provides the endpoint and bearer token only to jobs with `id-token: write`.
+ * requestOptions are passed to fetchText (proxy, CA bundle, retries); the request itself is
+ * always limited to 30s rather than the download timeout.
+ */
+export async function requestIdToken(audience, { env = process.env, requestOptions = {} } = {}) {
+  const requestUrl = env.ACTIONS_ID_TOKEN_REQUEST_URL;
+  const requestToken = env.ACTIONS_ID_TOKEN_REQUEST_TOKEN;
+  if (!requestUrl || !requestToken) {
+    throw new Error('GitHub OIDC is not available; grant the job the `id-token: write` permission');
+  }
+
+  const url = new URL(requestUrl);
+  url.searchParams.set('audience', audience);
+  const body = await fetchText(url.href, {
+    ...requestOptions,
+    timeout: 30000,
+    headers: { 'Accept': 'application/json', 'Authorization': `Bearer ${requestToken}` },
+  });
+
+  let value;
+  try {
+    ({ value } = JSON.parse(body));
+  } catch (error) {
+    throw new Error(`Could not parse GitHub OIDC token response: ${error.message}`);
+  }
+  if (typeof value !== 'string' || !value) {
+    throw new Error('GitHub OIDC token response did not contain a token');
+  }
+  return value;
+}
+
+/**
+ * Write the ID token (and for GCP, an external account credentials file) into dir
+ * Returns the variables the provider SDKs read to find them. Files are readable by the
+ * runner user only; dir is expected to be removed once sstart has run.
+ */
+export function writeOidcCredentials(provider, token, dir, options) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const tokenFile = path.join(dir, 'id-token');
+  fs.writeFileSync(tokenFile, token, { encoding: 'utf8', mode: 0o600 });
+
+  switch (provider) {
+    case 'aws':
+      return {
+        AWS_WEB_IDENTITY_TOKEN_FILE: tokenFile,
+        AWS_ROLE_ARN: options.awsRoleArn,
+        AWS_ROLE_SESSION_NAME: options.awsRoleSessionName || 'sstart-github-actions',
+      };
+    case 'azure':
+      return {
+        AZURE_FEDERATED_TOKEN_FILE: tokenFile,
+        AZURE_CLIENT_ID: options.azureClientId,
+        AZURE_TENANT_ID: options.azureTenantId,
+      };
+    case 'gcp': {
+      const credentials = {
+        type: 'external_account',
+        audience: `//iam.googleapis.com/${options.gcpWorkloadIdentityProvider}`,
+        subject_token_type: 'urn:ietf:params:oauth:token-type:jwt',
+        token_url: 'https://sts.googleapis.com/v1/token',
+        credential_source: { file: tokenFile },
+      };
+      if (options.gcpServiceAccount) {
+        credentials.service_account_impersonation_url =
+          `https://iamcredentials.googleapis.com/v1/projects/-/serviceAccounts/${options.gcpServiceAccount}:generateAccessToken`;
+      }
+      const credentialsFile = path.join(dir, 'gcp-credentials.json');
+      fs.writeFileSync(credentialsFile, `${JSON.stringify(credentials, null, 2)}\n`, { encoding: 'utf8', mode: 0o600 });
+      return { GOOGLE_APPLICATION_CREDENTIALS: credentialsFile };
+    }
+    default:
+      throw new Error(`Unsupported OIDC provider: ${provider}. Expected one of ${OIDC_PROVIDERS.join(', ')}`);
+  }
+}
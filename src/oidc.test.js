@@ -0,0 +1,130 @@
+import http from 'http';
+import { mkdtempSync, readFileSync, statSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { resolveOidcOptions, requestIdToken, writeOidcCredentials } from './oidc.js';
+
+// Start a local stand-in for the Actions OIDC token endpoint
+function startTokenServer(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}/token?api-version=2.0`,
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(done);
+        }),
+      });
+    });
+  });
+}
+
+describe('OIDC', () => {
+  describe('resolveOidcOptions', () => {
+    it('should use the default audience for each provider', () => {
+      expect(resolveOidcOptions('aws', { awsRoleArn: 'arn:aws:iam::1:role/r' }).audience).toBe('sts.amazonaws.com');
+      expect(resolveOidcOptions('azure', { azureClientId: 'c', azureTenantId: 't' }).audience).toBe('api://AzureADTokenExchange');
+      expect(resolveOidcOptions('gcp', { gcpWorkloadIdentityProvider: 'projects/1/locations/global/workloadIdentityPools/p/providers/gh' }).audience)
+        .toBe('https://iam.googleapis.com/projects/1/locations/global/workloadIdentityPools/p/providers/gh');
+    });
+
+    it('should keep an explicit audience', () => {
+      expect(resolveOidcOptions('aws', { awsRoleArn: 'arn', audience: 'custom' }).audience).toBe('custom');
+    });
+
+    it('should list missing provider inputs', () => {
+      expect(() => resolveOidcOptions('aws', {})).toThrow('oidc: aws requires the aws-role-arn input(s)');
+      expect(() => resolveOidcOptions('azure', { azureClientId: 'c' })).toThrow('requires the azure-tenant-id input(s)');
+      expect(() => resolveOidcOptions('vault', {})).toThrow('Unsupported OIDC provider: vault');
+    });
+  });
+
+  describe('requestIdToken', () => {
+    let local;
+
+    afterEach(async () => {
+      if (local) {
+        await local.close();
+        local = null;
+      }
+    });
+
+    it('should request a token for the audience with the runner bearer token', async () => {
+      let request;
+      local = await startTokenServer((req, res) => {
+        request = req;
+        res.end(JSON.stringify({ value: 'eyJ.id.token' }));
+      });
+
+      const token = await requestIdToken('sts.amazonaws.com', {
+        env: { ACTIONS_ID_TOKEN_REQUEST_URL: local.url, ACTIONS_ID_TOKEN_REQUEST_TOKEN: 'runner-token' },
+        requestOptions: { env: {}, headers: { 'X-Mirror-Key': 'not-for-oidc' } },
+      });
+
+      expect(token).toBe('eyJ.id.token');
+      expect(request.url).toBe('/token?api-version=2.0&audience=sts.amazonaws.com');
+      expect(request.headers.authorization).toBe('Bearer runner-token');
+      expect(request.headers['x-mirror-key']).toBeUndefined();
+    });
+
+    it('should fail when the response has no token', async () => {
+      local = await startTokenServer((req, res) => res.end('{}'));
+
+      await expect(requestIdToken('aud', {
+        env: { ACTIONS_ID_TOKEN_REQUEST_URL: local.url, ACTIONS_ID_TOKEN_REQUEST_TOKEN: 't' },
+        requestOptions: { env: {} },
+      })).rejects.toThrow('did not contain a token');
+    });
+
+    it('should explain the missing permission when OIDC is unavailable', async () => {
+      await expect(requestIdToken('aud', { env: {} })).rejects.toThrow('id-token: write');
+    });
+  });
+
+  describe('writeOidcCredentials', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = mkdtempSync(join(tmpdir(), 'sstart-oidc-test-'));
+    });
+
+    afterEach(() => {
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should write the token file for AWS web identity', () => {
+      const env = writeOidcCredentials('aws', 'tok', join(tempDir, 'oidc'), { awsRoleArn: 'arn:aws:iam::1:role/r' });
+
+      expect(env).toEqual({
+        AWS_WEB_IDENTITY_TOKEN_FILE: join(tempDir, 'oidc', 'id-token'),
+        AWS_ROLE_ARN: 'arn:aws:iam::1:role/r',
+        AWS_ROLE_SESSION_NAME: 'sstart-github-actions',
+      });
+      expect(readFileSync(env.AWS_WEB_IDENTITY_TOKEN_FILE, 'utf8')).toBe('tok');
+      if (process.platform !== 'win32') {
+        expect(statSync(env.AWS_WEB_IDENTITY_TOKEN_FILE).mode & 0o777).toBe(0o600);
+      }
+    });
+
+    it('should point Azure workload identity at the token file', () => {
+      const env = writeOidcCredentials('azure', 'tok', tempDir, { azureClientId: 'c', azureTenantId: 't' });
+
+      expect(env).toEqual({ AZURE_FEDERATED_TOKEN_FILE: join(tempDir, 'id-token'), AZURE_CLIENT_ID: 'c', AZURE_TENANT_ID: 't' });
+    });
+
+    it('should write a GCP external account credentials file', () => {
+      const env = writeOidcCredentials('gcp', 'tok', tempDir, {
+        gcpWorkloadIdentityProvider: 'projects/1/locations/global/workloadIdentityPools/p/providers/gh',
+        gcpServiceAccount: 'sstart@proj.iam.gserviceaccount.com',
+      });
+      const credentials = JSON.parse(readFileSync(env.GOOGLE_APPLICATION_CREDENTIALS, 'utf8'));
+
+      expect(credentials.type).toBe('external_account');
+      expect(credentials.audience).toBe('//iam.googleapis.com/projects/1/locations/global/workloadIdentityPools/p/providers/gh');
+      expect(credentials.credential_source).toEqual({ file: join(tempDir, 'id-token') });
+      expect(credentials.service_account_impersonation_url).toContain('sstart@proj.iam.gserviceaccount.com:generateAccessToken');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Map a Node.js platform/arch pair to the naming used by sstart release assets
+ * Takes the values explicitly (rather than reading process.platform) so every
+ * runner OS can be covered by unit tests.
+ */
+export function getPlatformInfo(platform, arch) {
+  const osNames = {
+    darwin: 'darwin',
+    linux: 'linux',
+    win32: 'windows',
+  };
+
+  const os = osNames[platform];
+  if (!os) {
+    throw new Error(`Unsupported platform: ${platform}. Only darwin, linux and win32 are supported.`);
+  }
+
+  // Normalize architecture
+  const architecture = arch === 'x64' ? 'amd64' : arch;
+  const isWindows = os === 'windows';
+
+  return {
+    os,
+    arch: architecture.toLowerCase(),
+    isWindows,
+    binaryName: isWindows ? 'sstart.exe' : 'sstart',
+    // Candidate asset formats, in the order they are tried
+    assetExtensions: isWindows ? ['.zip', '.exe'] : ['.tar.gz'],
+  };
+}
+
+/**
+ * Build the release asset file name for a version, platform and extension
+ * e.g. sstart-0.0.10-linux-amd64.tar.gz or sstart-0.0.10-windows-arm64.zip
+ */
+export function getAssetName(version, platformInfo, extension) {
+  const versionWithoutV = version.startsWith('v') ? version.slice(1) : version;
+  return `sstart-${versionWithoutV}-${platformInfo.os}-${platformInfo.arch}${extension}`;
+}
+
+/**
+ * Expand a download URL template
+ * Supported placeholders: {version} (without 'v' prefix), {os} and {arch}, using release asset naming
+ */
+export function expandDownloadUrl(template, version, platformInfo) {
+  const versionWithoutV = version.startsWith('v') ? version.slice(1) : version;
+  return template
+    .replace(/\{version\}/g, versionWithoutV)
+    .replace(/\{os\}/g, platformInfo.os)
+    .replace(/\{arch\}/g, platformInfo.arch);
+}
+
+/**
+ * List the URLs to try when downloading sstart, in order
+ * Without a template these are the GitHub release assets for each supported format;
+ * with a template it is the single expanded URL. Each candidate is { url, assetName }.
+ */
+export function getDownloadCandidates(version, platformInfo, template) {
+  if (template) {
+    const url = expandDownloadUrl(template, version, platformInfo);
+    const assetName = decodeURIComponent(new URL(url).pathname.split('/').pop());
+    return [{ url, assetName }];
+  }
+
+  const tag = version.startsWith('v') ? version : `v${version}`;
+  return platformInfo.assetExtensions.map((extension) => {
+    const assetName = getAssetName(version, platformInfo, extension);
+    return { url: `https://github.com/dirathea/sstart/releases/download/${tag}/${assetName}`, assetName };
+  });
+}
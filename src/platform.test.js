@@ -0,0 +1,87 @@
+import { getPlatformInfo, getAssetName, expandDownloadUrl, getDownloadCandidates } from './platform.js';
+
+describe('Platform mapping', () => {
+  describe('getPlatformInfo', () => {
+    it('should map linux and darwin to tar.gz assets', () => {
+      expect(getPlatformInfo('linux', 'x64')).toEqual({
+        os: 'linux',
+        arch: 'amd64',
+        isWindows: false,
+        binaryName: 'sstart',
+        assetExtensions: ['.tar.gz'],
+      });
+      expect(getPlatformInfo('darwin', 'arm64').os).toBe('darwin');
+      expect(getPlatformInfo('darwin', 'arm64').arch).toBe('arm64');
+    });
+
+    it('should map win32 x64 to windows amd64 with an .exe binary', () => {
+      expect(getPlatformInfo('win32', 'x64')).toEqual({
+        os: 'windows',
+        arch: 'amd64',
+        isWindows: true,
+        binaryName: 'sstart.exe',
+        assetExtensions: ['.zip', '.exe'],
+      });
+    });
+
+    it('should map win32 arm64 to windows arm64', () => {
+      const info = getPlatformInfo('win32', 'arm64');
+      expect(info.os).toBe('windows');
+      expect(info.arch).toBe('arm64');
+      expect(info.binaryName).toBe('sstart.exe');
+    });
+
+    it('should throw for unsupported platforms', () => {
+      expect(() => getPlatformInfo('freebsd', 'x64')).toThrow('Unsupported platform: freebsd');
+    });
+  });
+
+  describe('getAssetName', () => {
+    it('should build tar.gz asset names', () => {
+      const info = getPlatformInfo('linux', 'x64');
+      expect(getAssetName('0.0.10', info, '.tar.gz')).toBe('sstart-0.0.10-linux-amd64.tar.gz');
+    });
+
+    it('should build Windows zip and exe asset names', () => {
+      const info = getPlatformInfo('win32', 'arm64');
+      expect(getAssetName('v0.0.10', info, '.zip')).toBe('sstart-0.0.10-windows-arm64.zip');
+      expect(getAssetName('0.0.10', info, '.exe')).toBe('sstart-0.0.10-windows-arm64.exe');
+    });
+  });
+
+  describe('expandDownloadUrl', () => {
+    it('should replace version, os and arch placeholders', () => {
+      const info = getPlatformInfo('linux', 'x64');
+      expect(expandDownloadUrl('https://mirror.example.com/sstart/{version}/sstart-{version}-{os}-{arch}.tar.gz', 'v0.0.10', info))
+        .toBe('https://mirror.example.com/sstart/0.0.10/sstart-0.0.10-linux-amd64.tar.gz');
+    });
+  });
+
+  describe('getDownloadCandidates', () => {
+    it('should list GitHub release assets by default', () => {
+      const candidates = getDownloadCandidates('0.0.10', getPlatformInfo('win32', 'x64'));
+      expect(candidates).toEqual([
+        {
+          url: 'https://github.com/dirathea/sstart/releases/download/v0.0.10/sstart-0.0.10-windows-amd64.zip',
+          assetName: 'sstart-0.0.10-windows-amd64.zip',
+        },
+        {
+          url: 'https://github.com/dirathea/sstart/releases/download/v0.0.10/sstart-0.0.10-windows-amd64.exe',
+          assetName: 'sstart-0.0.10-windows-amd64.exe',
+        },
+      ]);
+    });
+
+    it('should use a single expanded URL when a template is given', () => {
+      const candidates = getDownloadCandidates(
+        '0.0.10',
+        getPlatformInfo('darwin', 'arm64'),
+        'https://ghes.example.com/mirror/{os}/{arch}/sstart-{version}.tar.gz?token=abc',
+      );
+      expect(candidates).toEqual([{
+        url: 'https://ghes.example.com/mirror/darwin/arm64/sstart-0.0.10.tar.gz?token=abc',
+        assetName: 'sstart-0.0.10.tar.gz',
+      }]);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { parse, stringify } from 'yaml';
+
+const PROFILE_FIELDS = ['name', 'config', 'config-file', 'prefix'];
+
+/**
+ * Parse the profiles input: a YAML list of { name, config | config-file, prefix }
+ * Names label log lines and scratch directories, so they are limited to a safe character set.
+ * config may be a YAML block string or a nested mapping, which is serialized back to YAML.
+ */
+export function parseProfiles(text) {
+  let profiles;
+  try {
+    profiles = parse(text);
+  } catch (error) {
+    throw new Error(`Invalid profiles input: ${error.message.split('\n')[0]}`);
+  }
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    throw new Error('Invalid profiles input: expected a YAML list of profiles');
+  }
+
+  const names = new Set();
+  return profiles.map((profile, index) => {
+    const label = `Profile ${index + 1}`;
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error(`${label}: expected a mapping with name and config or config-file`);
+    }
+
+    const unknown = Object.keys(profile).filter((field) => !PROFILE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`${label}: unknown field(s) ${unknown.join(', ')}; expected ${PROFILE_FIELDS.join(', ')}`);
+    }
+
+    const { name, config, 'config-file': configFile, prefix = '' } = profile;
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(name)) {
+      throw new Error(`${label}: name must contain only letters, digits, ".", "_" and "-"`);
+    }
+    if (names.has(name)) {
+      throw new Error(`${label}: duplicate profile name "${name}"`);
+    }
+    names.add(name);
+
+    if (Boolean(config) === Boolean(configFile)) {
+      throw new Error(`Profile ${name}: set exactly one of config and config-file`);
+    }
+    if (config && typeof config !== 'string' && (typeof config !== 'object' || Array.isArray(config))) {
+      throw new Error(`Profile ${name}: config must be a string or a mapping`);
+    }
+    if (configFile && typeof configFile !== 'string') {
+      throw new Error(`Profile ${name}: config-file must be a string`);
+    }
+    if (typeof prefix !== 'string') {
+      throw new Error(`Profile ${name}: prefix must be a string`);
+    }
+
+    // A nested mapping is accepted as well as a config block string
+    const configText = config && typeof config === 'object' ? stringify(config) : config;
+    return { name, config: configText || '', configFile: configFile || '', prefix };
+  });
+}
+
+/**
+ * Merge the variables fetched for each profile, in order
+ * Each profile's prefix is applied to its own keys first. When two profiles supply the
+ * same key, the later profile wins. Returns { envVars, sources, overrides } where sources
+ * maps each key to the profile that supplied it and overrides lists replaced keys.
+ */
+export function mergeProfiles(results) {
+  const envVars = {};
+  const sources = {};
+  const overrides = [];
+
+  for (const { name, prefix = '', envVars: profileVars } of results) {
+    for (const [key, value] of Object.entries(profileVars)) {
+      const prefixed = `${prefix}${key}`;
+      if (Object.prototype.hasOwnProperty.call(sources, prefixed)) {
+        overrides.push({ key: prefixed, profile: name, previous: sources[prefixed] });
+      }
+      envVars[prefixed] = value;
+      sources[prefixed] = name;
+    }
+  }
+
+  return { envVars, sources, overrides };
+}
@@ -0,0 +1,80 @@
+import { parseProfiles, mergeProfiles } from './profiles.js';
+
+describe('Profiles', () => {
+  describe('parseProfiles', () => {
+    it('should parse a list of profiles', () => {
+      const profiles = parseProfiles([
+        '- name: shared',
+        '  config-file: .sstart/shared.yml',
+        '- name: payments',
+        '  prefix: PAY_',
+        '  config: |',
+        '    providers: []',
+      ].join('\n'));
+
+      expect(profiles).toEqual([
+        { name: 'shared', config: '', configFile: '.sstart/shared.yml', prefix: '' },
+        { name: 'payments', config: 'providers: []\n', configFile: '', prefix: 'PAY_' },
+      ]);
+    });
+
+    it('should reject input that is not a list', () => {
+      expect(() => parseProfiles('name: shared')).toThrow('expected a YAML list of profiles');
+      expect(() => parseProfiles('- name: [')).toThrow('Invalid profiles input');
+    });
+
+    it('should require exactly one config source', () => {
+      expect(() => parseProfiles('- name: a')).toThrow('Profile a: set exactly one of config and config-file');
+      expect(() => parseProfiles('- name: a\n  config: x\n  config-file: y')).toThrow('set exactly one');
+    });
+
+    it('should reject unsafe or duplicate names', () => {
+      expect(() => parseProfiles('- name: ../up\n  config: x')).toThrow('Profile 1: name must contain only');
+      expect(() => parseProfiles('- name: a\n  config: x\n- name: a\n  config: y')).toThrow('Profile 2: duplicate profile name "a"');
+    });
+
+    it('should accept config as a nested mapping', () => {
+      const [profile] = parseProfiles([
+        '- name: shared',
+        '  config:',
+        '    providers:',
+        '      - kind: dotenv',
+        '        path: .env',
+      ].join('\n'));
+
+      expect(profile.config).toBe('providers:\n  - kind: dotenv\n    path: .env\n');
+    });
+
+    it('should reject config and config-file values of the wrong type', () => {
+      expect(() => parseProfiles('- name: a\n  config: [x]')).toThrow('Profile a: config must be a string or a mapping');
+      expect(() => parseProfiles('- name: a\n  config-file: 123')).toThrow('Profile a: config-file must be a string');
+    });
+
+    it('should reject unknown fields', () => {
+      expect(() => parseProfiles('- name: a\n  config: x\n  prefx: A_')).toThrow('unknown field(s) prefx');
+    });
+  });
+
+  describe('mergeProfiles', () => {
+    it('should let later profiles override earlier ones', () => {
+      const result = mergeProfiles([
+        { name: 'shared', envVars: { DB_URL: 'shared', LOG_LEVEL: 'info' } },
+        { name: 'service', envVars: { DB_URL: 'service' } },
+      ]);
+
+      expect(result.envVars).toEqual({ DB_URL: 'service', LOG_LEVEL: 'info' });
+      expect(result.sources).toEqual({ DB_URL: 'service', LOG_LEVEL: 'shared' });
+      expect(result.overrides).toEqual([{ key: 'DB_URL', profile: 'service', previous: 'shared' }]);
+    });
+
+    it('should namespace keys with per-profile prefixes', () => {
+      const result = mergeProfiles([
+        { name: 'shared', envVars: { DB_URL: 'a' } },
+        { name: 'payments', prefix: 'PAY_', envVars: { DB_URL: 'b' } },
+      ]);
+
+      expect(result.envVars).toEqual({ DB_URL: 'a', PAY_DB_URL: 'b' });
+      expect(result.overrides).toEqual([]);
+    });
+  });
+});
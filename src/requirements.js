@@ -0,0 +1,122 @@
+import { parse } from 'yaml';
+
+const FORMATS = ['non-empty', 'url'];
+const RULE_KEYWORDS = ['format', 'pattern', 'minLength', 'maxLength', 'enum'];
+
+/**
+ * Parse the key-formats input: a YAML or JSON mapping of key name to rules
+ * Rules use JSON-schema keywords (format, pattern, minLength, maxLength, enum); a plain
+ * string is shorthand for { format }. Patterns are compiled here so typos fail early.
+ */
+export function parseKeyFormats(text) {
+  if (!text || !text.trim()) {
+    return {};
+  }
+
+  let spec;
+  try {
+    spec = parse(text);
+  } catch (error) {
+    throw new Error(`Invalid key-formats input: ${error.message.split('\n')[0]}`);
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('Invalid key-formats input: expected a mapping of key names to rules');
+  }
+
+  const formats = {};
+  for (const [key, value] of Object.entries(spec)) {
+    const rules = typeof value === 'string' ? { format: value } : value;
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new Error(`key-formats for ${key}: expected a format name or a mapping of rules`);
+    }
+
+    const unknown = Object.keys(rules).filter((keyword) => !RULE_KEYWORDS.includes(keyword));
+    if (unknown.length > 0) {
+      throw new Error(`key-formats for ${key}: unknown rule(s) ${unknown.join(', ')}; expected ${RULE_KEYWORDS.join(', ')}`);
+    }
+    if (rules.format !== undefined && !FORMATS.includes(rules.format)) {
+      throw new Error(`key-formats for ${key}: format must be one of ${FORMATS.join(', ')}`);
+    }
+    if (rules.enum !== undefined && !Array.isArray(rules.enum)) {
+      throw new Error(`key-formats for ${key}: enum must be a list`);
+    }
+
+    let pattern;
+    if (rules.pattern !== undefined) {
+      try {
+        pattern = new RegExp(rules.pattern);
+      } catch (error) {
+        throw new Error(`key-formats for ${key}: ${error.message}`);
+      }
+    }
+    formats[key] = { ...rules, pattern };
+  }
+
+  return formats;
+}
+
+/**
+ * Check whether a value is an absolute URL with a scheme and authority, e.g. https:// or postgres://
+ * `new URL` alone would also accept host:port pairs such as db:5432 as a scheme.
+ */
+function isUrl(value) {
+  if (!/^[A-Za-z][A-Za-z0-9+.-]*:\/\//.test(value)) {
+    return false;
+  }
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Explain why a value breaks its rules, or return null when it satisfies them
+ * Messages describe the rule that failed and never include the value.
+ */
+export function checkValue(value, rules) {
+  if (rules.format === 'non-empty' && !value.trim()) {
+    return 'value is empty';
+  }
+  if (rules.format === 'url' && !isUrl(value)) {
+    return 'value is not a URL';
+  }
+  if (rules.minLength !== undefined && value.length < rules.minLength) {
+    return `value is shorter than ${rules.minLength} characters`;
+  }
+  if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+    return `value is longer than ${rules.maxLength} characters`;
+  }
+  if (rules.pattern && !rules.pattern.test(value)) {
+    return `value does not match ${rules.pattern.source}`;
+  }
+  if (rules.enum && !rules.enum.map(String).includes(value)) {
+    return 'value is not one of the allowed values';
+  }
+  return null;
+}
+
+/**
+ * Check the final variables against required names and per-key format rules
+ * Keys in formats are only checked when present; list them in required to demand them too.
+ * Returns every problem as a list of { key, message }.
+ */
+export function checkRequirements(envVars, { required = [], formats = {} } = {}) {
+  const errors = [];
+  const has = (key) => Object.prototype.hasOwnProperty.call(envVars, key);
+
+  for (const key of required) {
+    if (!has(key)) {
+      errors.push({ key, message: 'required key is missing' });
+    }
+  }
+  for (const [key, rules] of Object.entries(formats)) {
+    const problem = has(key) ? checkValue(envVars[key], rules) : null;
+    if (problem) {
+      errors.push({ key, message: problem });
+    }
+  }
+
+  return errors;
+}
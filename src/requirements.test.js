@@ -0,0 +1,67 @@
+import { parseKeyFormats, checkValue, checkRequirements } from './requirements.js';
+
+describe('Required keys', () => {
+  describe('parseKeyFormats', () => {
+    it('should return no rules for empty input', () => {
+      expect(parseKeyFormats('')).toEqual({});
+    });
+
+    it('should accept format shorthands and rule mappings', () => {
+      const formats = parseKeyFormats('DATABASE_URL: url\nAPI_KEY: { pattern: "^sk_", minLength: 8 }');
+
+      expect(formats.DATABASE_URL).toEqual({ format: 'url', pattern: undefined });
+      expect(formats.API_KEY.pattern).toBeInstanceOf(RegExp);
+      expect(formats.API_KEY.minLength).toBe(8);
+    });
+
+    it('should accept JSON', () => {
+      expect(parseKeyFormats('{"REGION": {"enum": ["eu", "us"]}}').REGION.enum).toEqual(['eu', 'us']);
+    });
+
+    it('should reject unknown formats, rules and invalid patterns', () => {
+      expect(() => parseKeyFormats('A: email')).toThrow('key-formats for A: format must be one of non-empty, url');
+      expect(() => parseKeyFormats('A: { regex: x }')).toThrow('unknown rule(s) regex');
+      expect(() => parseKeyFormats('A: { pattern: "(" }')).toThrow('key-formats for A:');
+      expect(() => parseKeyFormats('- A')).toThrow('expected a mapping');
+    });
+  });
+
+  describe('checkValue', () => {
+    it('should check formats', () => {
+      expect(checkValue('  ', { format: 'non-empty' })).toBe('value is empty');
+      expect(checkValue('postgres://db:5432/app', { format: 'url' })).toBeNull();
+      expect(checkValue('db:5432', { format: 'url' })).toBe('value is not a URL');
+      expect(checkValue('not a url', { format: 'url' })).toBe('value is not a URL');
+    });
+
+    it('should check lengths, patterns and allowed values without echoing the value', () => {
+      expect(checkValue('abc', { minLength: 4 })).toBe('value is shorter than 4 characters');
+      expect(checkValue('abcdef', { maxLength: 4 })).toBe('value is longer than 4 characters');
+      expect(checkValue('pk_secret', { pattern: /^sk_/ })).toBe('value does not match ^sk_');
+      expect(checkValue('ap', { enum: ['eu', 'us'] })).toBe('value is not one of the allowed values');
+      expect(checkValue('1', { enum: [1, 2] })).toBeNull();
+    });
+  });
+
+  describe('checkRequirements', () => {
+    it('should list every missing and invalid key', () => {
+      const errors = checkRequirements(
+        { API_KEY: 'pk_x', REGION: 'eu' },
+        {
+          required: ['DATABASE_URL', 'API_KEY', 'STRIPE_KEY'],
+          formats: parseKeyFormats('API_KEY: { pattern: "^sk_" }\nREGION: non-empty\nOPTIONAL_URL: url'),
+        },
+      );
+
+      expect(errors).toEqual([
+        { key: 'DATABASE_URL', message: 'required key is missing' },
+        { key: 'STRIPE_KEY', message: 'required key is missing' },
+        { key: 'API_KEY', message: 'value does not match ^sk_' },
+      ]);
+    });
+
+    it('should pass when nothing is required', () => {
+      expect(checkRequirements({})).toEqual([]);
+    });
+  });
+});
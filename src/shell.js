@@ -0,0 +1,38 @@
+import { quoteShell } from './format.js';
+
+/**
+ * Shells for the run input, modelled on how the runner executes `run:` steps
+ * Each entry gives the script extension, a prologue that changes to the working directory,
+ * and the command line that executes the script file.
+ */
+export const SHELLS = {
+  bash: {
+    extension: '.sh',
+    prologue: (cwd) => `cd ${quoteShell(cwd)}`,
+    args: (file) => ['bash', '--noprofile', '--norc', '-eo', 'pipefail', file],
+  },
+  sh: {
+    extension: '.sh',
+    prologue: (cwd) => `cd ${quoteShell(cwd)}`,
+    args: (file) => ['sh', '-e', file],
+  },
+  pwsh: {
+    extension: '.ps1',
+    prologue: (cwd) => `$ErrorActionPreference = 'stop'\nSet-Location -LiteralPath '${cwd.replace(/'/g, "''")}'`,
+    epilogue: 'if ((Test-Path -LiteralPath variable:\\LASTEXITCODE)) { exit $LASTEXITCODE }',
+    args: (file) => ['pwsh', '-NoLogo', '-NoProfile', '-NonInteractive', '-Command', `. '${file.replace(/'/g, "''")}'`],
+  },
+  cmd: {
+    extension: '.cmd',
+    prologue: (cwd) => `@cd /d "${cwd}"`,
+    args: (file) => ['cmd', '/D', '/E:ON', '/V:OFF', '/S', '/C', `"CALL "${file}""`],
+  },
+};
+
+/**
+ * Render the script file that runs a command from the given working directory
+ */
+export function buildShellScript(shell, command, cwd) {
+  const { prologue, epilogue } = SHELLS[shell];
+  return [prologue(cwd), command, epilogue].filter(Boolean).join('\n') + '\n';
+}
@@ -0,0 +1,45 @@
+import { execFileSync } from 'child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SHELLS, buildShellScript } from './shell.js';
+
+describe('Shell scripts', () => {
+  describe('buildShellScript', () => {
+    it('should change to the working directory before the command', () => {
+      expect(buildShellScript('bash', 'make deploy', "/home/o'brien/app")).toBe("cd '/home/o'\\''brien/app'\nmake deploy\n");
+    });
+
+    it('should propagate the last exit code from pwsh', () => {
+      const script = buildShellScript('pwsh', './deploy.ps1', 'C:\\work');
+
+      expect(script).toContain("Set-Location -LiteralPath 'C:\\work'");
+      expect(script.trim().endsWith('exit $LASTEXITCODE }')).toBe(true);
+    });
+
+    it('should use cd /d for cmd', () => {
+      expect(buildShellScript('cmd', 'deploy.cmd', 'D:\\work')).toBe('@cd /d "D:\\work"\ndeploy.cmd\n');
+    });
+  });
+
+  describe('SHELLS', () => {
+    it('should run bash scripts with errexit and pipefail', () => {
+      expect(SHELLS.bash.args('/tmp/run.sh')).toEqual(['bash', '--noprofile', '--norc', '-eo', 'pipefail', '/tmp/run.sh']);
+    });
+
+    it('should run a generated script from the working directory', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'sstart-shell-test-'));
+      try {
+        const scriptPath = join(dir, 'run.sh');
+        writeFileSync(scriptPath, buildShellScript('sh', 'pwd; echo "$GREETING"', dir));
+        const [tool, ...args] = SHELLS.sh.args(scriptPath);
+
+        const output = execFileSync(tool, args, { env: { ...process.env, GREETING: 'hello' }, encoding: 'utf8' });
+
+        expect(output.split('\n').slice(0, 2)).toEqual([dir, 'hello']);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
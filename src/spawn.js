@@ -0,0 +1,117 @@
+import { spawn } from 'child_process';
+import { parseList } from './keys.js';
+
+/**
+ * Run a process, capturing stdout and stderr, with an optional time limit
+ * On timeout the process gets SIGTERM and, if still running after killGrace ms, SIGKILL.
+ * On POSIX the child leads its own process group so anything it started is killed too.
+ * Resolves with { exitCode, signal, stdout, stderr, timedOut }; exitCode is null when the
+ * process was ended by a signal. Rejects only when the process cannot be started.
+ */
+export function runProcess(command, args, { cwd, env, timeout = 0, killGrace = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const isWindows = process.platform === 'win32';
+    const child = spawn(command, args, {
+      cwd,
+      env,
+      detached: !isWindows,
+      windowsHide: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let killTimer;
+    child.stdout.setEncoding('utf8').on('data', (data) => {
+      stdout += data;
+    });
+    child.stderr.setEncoding('utf8').on('data', (data) => {
+      stderr += data;
+    });
+
+    const kill = (signal) => {
+      try {
+        if (isWindows) {
+          child.kill(signal);
+        } else {
+          process.kill(-child.pid, signal);
+        }
+      } catch {
+        // The process group is already gone
+      }
+    };
+    const timer = timeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        kill('SIGTERM');
+        killTimer = setTimeout(() => kill('SIGKILL'), killGrace);
+      }, timeout)
+      : null;
+
+    const settle = () => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+    };
+    child.on('error', (error) => {
+      settle();
+      reject(error);
+    });
+    child.on('close', (exitCode, signal) => {
+      settle();
+      resolve({ exitCode, signal, stdout, stderr, timedOut });
+    });
+  });
+}
+
+/**
+ * Decide whether a failed run is worth retrying
+ * Timeouts are always retried. Otherwise the exit code must be in exitCodes or stderr must
+ * match pattern; when neither filter is configured, every failure is retried.
+ */
+export function isRetryableResult(result, { exitCodes = [], pattern = null } = {}) {
+  if (result.timedOut) {
+    return true;
+  }
+  if (exitCodes.length === 0 && !pattern) {
+    return true;
+  }
+  return exitCodes.includes(result.exitCode) || Boolean(pattern && pattern.test(result.stderr));
+}
+
+/**
+ * Parse the retry-on-exit-codes input: exit codes separated by commas or newlines
+ */
+export function parseExitCodes(text) {
+  return parseList(text).map((code) => {
+    if (!/^\d+$/.test(code)) {
+      throw new Error(`Input retry-on-exit-codes must list exit codes, got "${code}"`);
+    }
+    return Number(code);
+  });
+}
+
+/**
+ * Call runAttempt until it succeeds, the retries are used up or a failure is not retryable
+ * runAttempt resolves with a runProcess result. Before retry n (from 1), onRetry(result, n, delay)
+ * is called and the loop waits backoff * 2^(n-1) ms. Resolves with the last attempt's result.
+ */
+export async function runWithRetries(runAttempt, {
+  retries = 0,
+  backoff = 0,
+  retryOn = {},
+  onRetry = () => {},
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const result = await runAttempt();
+    const failed = result.timedOut || result.exitCode !== 0;
+    if (!failed || attempt >= retries || !isRetryableResult(result, retryOn)) {
+      return result;
+    }
+
+    const delay = backoff * 2 ** attempt;
+    onRetry(result, attempt + 1, delay);
+    await sleep(delay);
+  }
+}
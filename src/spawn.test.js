@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import { runProcess, isRetryableResult, parseExitCodes, runWithRetries } from './spawn.js';
+
+const node = process.execPath;
+
+describe('Process runner', () => {
+  describe('runProcess', () => {
+    it('should capture stdout, stderr and the exit code', async () => {
+      const result = await runProcess(node, ['-e', 'process.stdout.write("out"); process.stderr.write("err"); process.exit(3)']);
+
+      expect(result).toEqual({ exitCode: 3, signal: null, stdout: 'out', stderr: 'err', timedOut: false });
+    });
+
+    it('should pass the working directory and environment', async () => {
+      const result = await runProcess(node, ['-e', 'process.stdout.write(process.cwd() + ":" + process.env.ONLY_HERE)'], {
+        cwd: process.cwd(),
+        env: { ONLY_HERE: 'yes' },
+      });
+
+      expect(result.stdout).toBe(`${process.cwd()}:yes`);
+    });
+
+    it('should stop a process that runs past the timeout', async () => {
+      const started = Date.now();
+      const result = await runProcess(node, ['-e', 'setTimeout(() => {}, 60000)'], { timeout: 200 });
+
+      expect(result.timedOut).toBe(true);
+      expect(result.exitCode).toBeNull();
+      expect(Date.now() - started).toBeLessThan(5000);
+    });
+
+    it('should force-kill a process that ignores SIGTERM', async () => {
+      const script = 'process.on("SIGTERM", () => {}); setTimeout(() => {}, 60000)';
+      const result = await runProcess(node, ['-e', script], { timeout: 200, killGrace: 200 });
+
+      expect(result.timedOut).toBe(true);
+      if (process.platform !== 'win32') {
+        expect(result.signal).toBe('SIGKILL');
+      }
+    });
+
+    it('should reject when the command cannot be started', async () => {
+      await expect(runProcess('/nonexistent/sstart', ['env'])).rejects.toThrow('ENOENT');
+    });
+  });
+
+  describe('isRetryableResult', () => {
+    const failure = { exitCode: 1, stderr: 'ThrottlingException: Rate exceeded', timedOut: false };
+
+    it('should retry every failure without filters', () => {
+      expect(isRetryableResult(failure)).toBe(true);
+    });
+
+    it('should retry matching exit codes or stderr', () => {
+      expect(isRetryableResult(failure, { exitCodes: [1] })).toBe(true);
+      expect(isRetryableResult(failure, { exitCodes: [2] })).toBe(false);
+      expect(isRetryableResult(failure, { pattern: /throttl/i })).toBe(true);
+      expect(isRetryableResult(failure, { exitCodes: [2], pattern: /denied/i })).toBe(false);
+    });
+
+    it('should always retry timeouts', () => {
+      expect(isRetryableResult({ ...failure, timedOut: true }, { exitCodes: [2] })).toBe(true);
+    });
+  });
+
+  describe('parseExitCodes', () => {
+    it('should parse exit codes separated by commas or newlines', () => {
+      expect(parseExitCodes('1, 2\n75')).toEqual([1, 2, 75]);
+      expect(parseExitCodes('')).toEqual([]);
+    });
+
+    it('should reject anything but non-negative integers', () => {
+      expect(() => parseExitCodes('1, two')).toThrow('Input retry-on-exit-codes must list exit codes, got "two"');
+      expect(() => parseExitCodes('-1')).toThrow('got "-1"');
+    });
+  });
+
+  describe('runWithRetries', () => {
+    const failure = { exitCode: 1, signal: null, stdout: '', stderr: 'ThrottlingException', timedOut: false };
+    const success = { exitCode: 0, signal: null, stdout: '{}', stderr: '', timedOut: false };
+
+    it('should not retry a successful attempt', async () => {
+      const runAttempt = jest.fn().mockResolvedValue(success);
+      const sleep = jest.fn();
+
+      await expect(runWithRetries(runAttempt, { retries: 3, sleep })).resolves.toBe(success);
+      expect(runAttempt).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should retry up to the retry count with exponential backoff', async () => {
+      const runAttempt = jest.fn().mockResolvedValue(failure);
+      const sleep = jest.fn().mockResolvedValue();
+      const onRetry = jest.fn();
+
+      await expect(runWithRetries(runAttempt, { retries: 3, backoff: 1000, onRetry, sleep })).resolves.toBe(failure);
+      expect(runAttempt).toHaveBeenCalledTimes(4);
+      expect(sleep.mock.calls).toEqual([[1000], [2000], [4000]]);
+      expect(onRetry.mock.calls).toEqual([[failure, 1, 1000], [failure, 2, 2000], [failure, 3, 4000]]);
+    });
+
+    it('should stop retrying once an attempt succeeds', async () => {
+      const runAttempt = jest.fn().mockResolvedValueOnce(failure).mockResolvedValueOnce(success);
+      const sleep = jest.fn().mockResolvedValue();
+
+      await expect(runWithRetries(runAttempt, { retries: 3, backoff: 10, sleep })).resolves.toBe(success);
+      expect(runAttempt).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not retry an exit code outside retry-on-exit-codes', async () => {
+      const runAttempt = jest.fn().mockResolvedValue(failure);
+      const sleep = jest.fn();
+
+      await expect(runWithRetries(runAttempt, { retries: 3, retryOn: { exitCodes: [75] }, sleep })).resolves.toBe(failure);
+      expect(runAttempt).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Format a duration in milliseconds for the job summary
+ */
+export function formatDuration(ms) {
+  if (ms < 1000) {
+    return `${Math.round(ms)} ms`;
+  }
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Describe where the sstart binary came from
+ */
+export function describeInstall({ binaryPath, cacheHit, useCache }) {
+  if (binaryPath) {
+    return `Preinstalled binary at ${binaryPath}`;
+  }
+  if (cacheHit) {
+    return 'Restored from the tool cache';
+  }
+  return useCache ? 'Downloaded and added to the tool cache' : 'Downloaded';
+}
+
+/**
+ * Build one summary row per exported key: name, source profile, value length and overrides
+ * Values themselves never leave this function; only their length is reported.
+ * profileOverrides maps a key to the profile it replaced, and collisions lists keys that
+ * were already set in the job environment.
+ */
+export function buildKeyRows(envVars, { sources = {}, renamed = {}, profileOverrides = {}, collisions = [] } = {}) {
+  return Object.entries(envVars).map(([key, value]) => {
+    const mergedKey = renamed[key] || key;
+    const overrides = [];
+    if (profileOverrides[mergedKey]) {
+      overrides.push(`profile ${profileOverrides[mergedKey]}`);
+    }
+    if (collisions.includes(key)) {
+      overrides.push('existing environment variable');
+    }
+    return [key, sources[mergedKey] || '', `${value.length} characters`, overrides.join(', ')];
+  });
+}
@@ -0,0 +1,45 @@
+import { formatDuration, describeInstall, buildKeyRows } from './summary.js';
+
+describe('Job summary', () => {
+  describe('formatDuration', () => {
+    it('should use milliseconds below one second', () => {
+      expect(formatDuration(0)).toBe('0 ms');
+      expect(formatDuration(412.6)).toBe('413 ms');
+    });
+
+    it('should use seconds from one second up', () => {
+      expect(formatDuration(1000)).toBe('1.0 s');
+      expect(formatDuration(12345)).toBe('12.3 s');
+    });
+  });
+
+  describe('describeInstall', () => {
+    it('should describe each install source', () => {
+      expect(describeInstall({ binaryPath: '/opt/sstart' })).toBe('Preinstalled binary at /opt/sstart');
+      expect(describeInstall({ cacheHit: true, useCache: true })).toBe('Restored from the tool cache');
+      expect(describeInstall({ cacheHit: false, useCache: true })).toBe('Downloaded and added to the tool cache');
+      expect(describeInstall({ cacheHit: false, useCache: false })).toBe('Downloaded');
+    });
+  });
+
+  describe('buildKeyRows', () => {
+    it('should report names, profiles, lengths and overrides without values', () => {
+      const rows = buildKeyRows(
+        { DATABASE_URL: 'postgres://secret', PAY_TOKEN: 'abc', PORT: '' },
+        {
+          sources: { DB_URL: 'service', PAY_TOKEN: 'payments', PORT: 'shared' },
+          renamed: { DATABASE_URL: 'DB_URL', PAY_TOKEN: 'PAY_TOKEN', PORT: 'PORT' },
+          profileOverrides: { DB_URL: 'shared' },
+          collisions: ['DATABASE_URL', 'PORT'],
+        },
+      );
+
+      expect(rows).toEqual([
+        ['DATABASE_URL', 'service', '17 characters', 'profile shared, existing environment variable'],
+        ['PAY_TOKEN', 'payments', '3 characters', ''],
+        ['PORT', 'shared', '0 characters', 'existing environment variable'],
+      ]);
+      expect(JSON.stringify(rows)).not.toContain('secret');
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { matchesAny } from './keys.js';
+
+export const VALUE_POLICIES = ['coerce', 'json', 'skip', 'fail'];
+
+// Names that control the runner, the shell or the Node.js process running later steps
+export const PROTECTED_NAMES = [
+  'PATH',
+  'HOME',
+  'SHELL',
+  'CI',
+  'ENV',
+  'BASH_ENV',
+  'NODE_OPTIONS',
+  'LD_PRELOAD',
+  'LD_LIBRARY_PATH',
+  'DYLD_INSERT_LIBRARIES',
+];
+export const PROTECTED_PREFIXES = ['GITHUB_', 'RUNNER_', 'ACTIONS_', 'INPUT_', 'STATE_'];
+
+/**
+ * Explain why a name cannot be used as an environment variable, or return null when it can
+ */
+export function checkVariableName(name) {
+  if (!name) {
+    return 'name is empty';
+  }
+  if (name.includes('=')) {
+    return 'name contains "="';
+  }
+  if (/\s/.test(name)) {
+    return 'name contains whitespace';
+  }
+  if (/^[0-9]/.test(name)) {
+    return 'name starts with a digit';
+  }
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    return 'name may only contain letters, digits and underscores';
+  }
+  return null;
+}
+
+/**
+ * Check whether a name is reserved by the runner or shell
+ */
+export function isProtectedName(name) {
+  const upper = name.toUpperCase();
+  return PROTECTED_NAMES.includes(upper) || PROTECTED_PREFIXES.some((prefix) => upper.startsWith(prefix));
+}
+
+/**
+ * Convert a value to the string that gets exported, according to the value policy
+ * Returns { value } on success, { skip: true } to drop the key, or { error } with a reason.
+ *   coerce: numbers and booleans become strings; null, objects and arrays are errors
+ *   json:   like coerce, but objects and arrays are serialized as JSON and null becomes ''
+ *   skip:   any non-string value is dropped
+ *   fail:   any non-string value is an error
+ */
+export function coerceValue(value, policy) {
+  if (typeof value === 'string') {
+    return { value };
+  }
+
+  const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+  if (policy === 'skip') {
+    return { skip: true, reason: `value is ${type}` };
+  }
+  if (policy === 'fail') {
+    return { error: `value is ${type}, expected a string` };
+  }
+
+  if (type === 'number' || type === 'boolean') {
+    return { value: String(value) };
+  }
+  if (policy === 'json') {
+    return { value: value === null ? '' : JSON.stringify(value) };
+  }
+  return { error: `value is ${type}; use non-string-values: json to serialize it` };
+}
+
+/**
+ * Validate names and values of the variables about to be exported
+ * Protected names are rejected unless they match one of the allowProtected globs.
+ * Returns { envVars, errors, skipped } where errors and skipped are lists of { key, message }.
+ */
+export function validateVariables(envVars, { valuePolicy = 'coerce', allowProtected = [] } = {}) {
+  const result = {};
+  const errors = [];
+  const skipped = [];
+
+  for (const [key, rawValue] of Object.entries(envVars)) {
+    const nameError = checkVariableName(key);
+    if (nameError) {
+      errors.push({ key, message: `invalid name: ${nameError}` });
+      continue;
+    }
+    if (isProtectedName(key) && !matchesAny(key, allowProtected)) {
+      errors.push({ key, message: 'protected name; add it to allow-protected-names to export it anyway' });
+      continue;
+    }
+
+    const coerced = coerceValue(rawValue, valuePolicy);
+    if (coerced.error) {
+      errors.push({ key, message: coerced.error });
+    } else if (coerced.skip) {
+      skipped.push({ key, message: coerced.reason });
+    } else {
+      result[key] = coerced.value;
+    }
+  }
+
+  return { envVars: result, errors, skipped };
+}
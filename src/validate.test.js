@@ -0,0 +1,86 @@
+import { checkVariableName, isProtectedName, coerceValue, validateVariables } from './validate.js';
+
+describe('Variable validation', () => {
+  describe('checkVariableName', () => {
+    it('should accept portable names', () => {
+      expect(checkVariableName('API_KEY')).toBeNull();
+      expect(checkVariableName('_private2')).toBeNull();
+    });
+
+    it('should explain why a name is invalid', () => {
+      expect(checkVariableName('')).toBe('name is empty');
+      expect(checkVariableName('A=B')).toBe('name contains "="');
+      expect(checkVariableName('API KEY')).toBe('name contains whitespace');
+      expect(checkVariableName('1PASSWORD')).toBe('name starts with a digit');
+      expect(checkVariableName('api-key')).toBe('name may only contain letters, digits and underscores');
+    });
+  });
+
+  describe('isProtectedName', () => {
+    it('should flag reserved names and prefixes case-insensitively', () => {
+      expect(isProtectedName('PATH')).toBe(true);
+      expect(isProtectedName('GITHUB_TOKEN')).toBe(true);
+      expect(isProtectedName('runner_temp')).toBe(true);
+      expect(isProtectedName('NODE_OPTIONS')).toBe(true);
+    });
+
+    it('should allow ordinary names', () => {
+      expect(isProtectedName('PATHNAME')).toBe(false);
+      expect(isProtectedName('MY_GITHUB_TOKEN')).toBe(false);
+    });
+  });
+
+  describe('coerceValue', () => {
+    it('should pass strings through under every policy', () => {
+      expect(coerceValue('x', 'fail')).toEqual({ value: 'x' });
+    });
+
+    it('should coerce scalars and reject structured values by default', () => {
+      expect(coerceValue(42, 'coerce')).toEqual({ value: '42' });
+      expect(coerceValue(false, 'coerce')).toEqual({ value: 'false' });
+      expect(coerceValue(null, 'coerce').error).toContain('value is null');
+      expect(coerceValue({ a: 1 }, 'coerce').error).toContain('value is object');
+    });
+
+    it('should serialize structured values with the json policy', () => {
+      expect(coerceValue({ a: 1 }, 'json')).toEqual({ value: '{"a":1}' });
+      expect(coerceValue([1, 2], 'json')).toEqual({ value: '[1,2]' });
+      expect(coerceValue(null, 'json')).toEqual({ value: '' });
+    });
+
+    it('should skip or fail every non-string value with the strict policies', () => {
+      expect(coerceValue(1, 'skip')).toEqual({ skip: true, reason: 'value is number' });
+      expect(coerceValue(true, 'fail')).toEqual({ error: 'value is boolean, expected a string' });
+    });
+  });
+
+  describe('validateVariables', () => {
+    it('should collect an error for every invalid key', () => {
+      const result = validateVariables({
+        GOOD: 'ok',
+        'BAD NAME': 'x',
+        PATH: '/tmp',
+        NESTED: { a: 1 },
+      });
+
+      expect(result.envVars).toEqual({ GOOD: 'ok' });
+      expect(result.errors.map(({ key }) => key)).toEqual(['BAD NAME', 'PATH', 'NESTED']);
+      expect(result.errors[1].message).toContain('allow-protected-names');
+    });
+
+    it('should export protected names matching allowProtected', () => {
+      const result = validateVariables({ GITHUB_TOKEN: 't', PATH: '/x' }, { allowProtected: ['GITHUB_*'] });
+
+      expect(result.envVars).toEqual({ GITHUB_TOKEN: 't' });
+      expect(result.errors).toEqual([{ key: 'PATH', message: expect.stringContaining('protected name') }]);
+    });
+
+    it('should report skipped keys separately', () => {
+      const result = validateVariables({ PORT: 5432, HOST: 'db' }, { valuePolicy: 'skip' });
+
+      expect(result.envVars).toEqual({ HOST: 'db' });
+      expect(result.skipped).toEqual([{ key: 'PORT', message: 'value is number' }]);
+      expect(result.errors).toEqual([]);
+    });
+  });
+});
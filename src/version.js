@@ -0,0 +1,106 @@
+import semver from 'semver';
+import { fetchText } from './download.js';
+
+/**
+ * Known-good sstart version used when the releases API cannot be reached
+ * Keep in sync with the `version` default in action.yml
+ */
+export const FALLBACK_VERSION = '0.0.10';
+
+export const RELEASES_API_URL = 'https://api.github.com/repos/dirathea/sstart/releases?per_page=100';
+
+/**
+ * Return the clean semver string when the spec names one exact version, otherwise null
+ * Accepts an optional 'v' prefix (e.g. 0.0.2 or v0.0.2)
+ */
+export function exactVersion(spec) {
+  return semver.valid(semver.clean(spec || '')) || null;
+}
+
+/**
+ * Pick the highest release tag matching a version spec
+ * The spec is either 'latest' or a semver range such as 0.0.x or ^0.1
+ */
+export function resolveVersionFromTags(spec, tags) {
+  const versions = tags
+    .map((tag) => semver.clean(tag))
+    .filter((version) => version !== null);
+
+  if (spec === 'latest') {
+    return semver.maxSatisfying(versions, '*');
+  }
+
+  const range = semver.validRange(spec);
+  if (!range) {
+    throw new Error(`Invalid version "${spec}": expected "latest", an exact version or a semver range`);
+  }
+  return semver.maxSatisfying(versions, range);
+}
+
+/**
+ * Return the token to send to the github.com releases API, or '' when it should not be sent
+ * On GitHub Enterprise Server the default token belongs to that installation, so it is only
+ * used when the workflow runs on github.com (GITHUB_SERVER_URL unset counts as github.com).
+ */
+export function getReleasesToken(token, serverUrl) {
+  const server = (serverUrl || 'https://github.com').replace(/\/+$/, '').toLowerCase();
+  return server === 'https://github.com' ? token || '' : '';
+}
+
+/**
+ * Fetch published (non-draft) release tags for sstart from the GitHub releases API
+ * requestOptions are passed to fetchText (proxy, CA bundle, retries), but the call is always
+ * limited to 30s rather than the download timeout
+ */
+export async function fetchReleaseTags(token, requestOptions = {}, url = RELEASES_API_URL) {
+  const headers = { 'Accept': 'application/vnd.github+json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const body = await fetchText(url, { ...requestOptions, timeout: 30000, headers });
+  let releases;
+  try {
+    releases = JSON.parse(body);
+  } catch (error) {
+    throw new Error(`Could not parse GitHub releases API response: ${error.message}`);
+  }
+  if (!Array.isArray(releases)) {
+    throw new Error('Unexpected GitHub releases API response: expected an array');
+  }
+  return releases.filter((release) => !release.draft).map((release) => release.tag_name);
+}
+
+/**
+ * Resolve the `version` input to an exact sstart version (without 'v' prefix)
+ * Exact versions are returned as-is; 'latest' and ranges are looked up in the releases list,
+ * falling back to FALLBACK_VERSION when the API is unreachable and the fallback satisfies the spec.
+ */
+export async function resolveVersion(spec, { token, fetchTags = fetchReleaseTags, warn = () => {} } = {}) {
+  const trimmed = (spec || '').trim();
+  const exact = exactVersion(trimmed);
+  if (exact) {
+    return exact;
+  }
+
+  if (trimmed !== 'latest' && !semver.validRange(trimmed)) {
+    throw new Error(`Invalid version "${spec}": expected "latest", an exact version or a semver range`);
+  }
+
+  let tags;
+  try {
+    tags = await fetchTags(token);
+  } catch (error) {
+    if (trimmed === 'latest' || semver.satisfies(FALLBACK_VERSION, trimmed)) {
+      warn(`Could not list sstart releases (${error.message}); falling back to known-good version ${FALLBACK_VERSION}`);
+      return FALLBACK_VERSION;
+    }
+    throw new Error(`Could not list sstart releases to resolve "${spec}": ${error.message}`);
+  }
+
+  const resolved = resolveVersionFromTags(trimmed, tags);
+  if (!resolved) {
+    throw new Error(`No sstart release matches version "${spec}"`);
+  }
+  return resolved;
+}
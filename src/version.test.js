@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { FALLBACK_VERSION, exactVersion, resolveVersionFromTags, resolveVersion, getReleasesToken } from './version.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const TAGS = ['v0.0.2', 'v0.0.10', 'v0.0.9', 'v0.1.0', 'v0.1.3', 'v0.2.0-rc.1', 'nightly'];
+
+describe('Version resolution', () => {
+  describe('exactVersion', () => {
+    it('should return exact versions with or without v prefix', () => {
+      expect(exactVersion('0.0.2')).toBe('0.0.2');
+      expect(exactVersion('v1.2.3')).toBe('1.2.3');
+    });
+
+    it('should return null for latest and ranges', () => {
+      expect(exactVersion('latest')).toBeNull();
+      expect(exactVersion('0.0.x')).toBeNull();
+      expect(exactVersion('^0.1')).toBeNull();
+    });
+  });
+
+  describe('resolveVersionFromTags', () => {
+    it('should resolve latest to the highest stable release', () => {
+      expect(resolveVersionFromTags('latest', TAGS)).toBe('0.1.3');
+    });
+
+    it('should resolve x-ranges', () => {
+      expect(resolveVersionFromTags('0.0.x', TAGS)).toBe('0.0.10');
+    });
+
+    it('should resolve caret ranges', () => {
+      expect(resolveVersionFromTags('^0.1', TAGS)).toBe('0.1.3');
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(resolveVersionFromTags('^1.0.0', TAGS)).toBeNull();
+    });
+
+    it('should throw for an invalid range', () => {
+      expect(() => resolveVersionFromTags('not-a-version', TAGS)).toThrow('Invalid version');
+    });
+  });
+
+  describe('getReleasesToken', () => {
+    it('should send the token when running on github.com', () => {
+      expect(getReleasesToken('ghs_abc', 'https://github.com')).toBe('ghs_abc');
+      expect(getReleasesToken('ghs_abc', 'https://github.com/')).toBe('ghs_abc');
+      expect(getReleasesToken('ghs_abc', undefined)).toBe('ghs_abc');
+    });
+
+    it('should not send a GitHub Enterprise Server token to github.com', () => {
+      expect(getReleasesToken('ghs_abc', 'https://ghes.example.com')).toBe('');
+    });
+  });
+
+  describe('resolveVersion', () => {
+    it('should not call the releases API for exact versions', async () => {
+      const fetchTags = jest.fn();
+      await expect(resolveVersion('v0.0.5', { fetchTags })).resolves.toBe('0.0.5');
+      expect(fetchTags).not.toHaveBeenCalled();
+    });
+
+    it('should pass the token to the releases lookup', async () => {
+      const fetchTags = jest.fn().mockResolvedValue(TAGS);
+      await expect(resolveVersion('latest', { token: 'abc', fetchTags })).resolves.toBe('0.1.3');
+      expect(fetchTags).toHaveBeenCalledWith('abc');
+    });
+
+    it('should fall back to the known-good version when the API is unreachable', async () => {
+      const fetchTags = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+      const warn = jest.fn();
+      await expect(resolveVersion('latest', { fetchTags, warn })).resolves.toBe(FALLBACK_VERSION);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('falling back'));
+    });
+
+    it('should fail when the fallback does not satisfy the range', async () => {
+      const fetchTags = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+      await expect(resolveVersion('^9.0.0', { fetchTags })).rejects.toThrow('Could not list sstart releases');
+    });
+
+    it('should fail when no release matches', async () => {
+      const fetchTags = jest.fn().mockResolvedValue(TAGS);
+      await expect(resolveVersion('^1.0.0', { fetchTags })).rejects.toThrow('No sstart release matches version');
+    });
+
+    it('should reject invalid specs without calling the API', async () => {
+      const fetchTags = jest.fn();
+      await expect(resolveVersion('banana', { fetchTags })).rejects.toThrow('Invalid version');
+      expect(fetchTags).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Fallback version', () => {
+    it('should match the default version in action.yml', () => {
+      const actionYml = readFileSync(join(__dirname, '..', 'action.yml'), 'utf8');
+      const match = actionYml.match(/default:\s*['"](?<currentValue>.*?)['"]/);
+      expect(match.groups.currentValue).toBe(FALLBACK_VERSION);
+    });
+  });
+});